@@ -2,60 +2,52 @@
  * Context Counter - Background Service Worker
  *
  * Handles state management, model detection, and messaging with content scripts.
- * Maintains per-tab token state and broadcasts updates.
+ * Keeps token state per conversation (persisted, so it survives the worker
+ * being suspended and tabs reloading) and broadcasts updates to the tabs
+ * showing it. Also hosts the offline tokenizer so token counting runs off the
+ * page's main thread.
  *
  * @author Remix Partners (https://remixpartners.ai)
  * @version 1.0.0
  */
 
-// =============================================================================
-// MODEL CONFIGURATION (January 2026)
-// =============================================================================
-
-const MODEL_LIMITS = {
-  // OpenAI GPT-5.2 Family
-  'gpt-5.2': { context: 400000, name: 'GPT-5.2' },
-  'gpt-5.2-instant': { context: 128000, name: 'GPT-5.2 Instant' },
-  'gpt-5.2-thinking': { context: 196000, name: 'GPT-5.2 Thinking' },
-  'gpt-5.2-pro': { context: 2000000, name: 'GPT-5.2 Pro' },
-  'gpt-5.2-codex': { context: 400000, name: 'GPT-5.2 Codex' },
-  'gpt-5-mini': { context: 128000, name: 'GPT-5 Mini' },
-  // Legacy OpenAI
-  'gpt-4o': { context: 128000, name: 'GPT-4o' },
-  'gpt-4o-mini': { context: 128000, name: 'GPT-4o Mini' },
-  'gpt-4-turbo': { context: 128000, name: 'GPT-4 Turbo' },
-
-  // Anthropic Claude 4.5 Family
-  'claude-opus-4-5': { context: 200000, name: 'Claude Opus 4.5' },
-  'claude-sonnet-4-5': { context: 200000, name: 'Claude Sonnet 4.5' },
-  'claude-haiku-4-5': { context: 200000, name: 'Claude Haiku 4.5' },
-  'claude-opus-4-1': { context: 200000, name: 'Claude Opus 4.1' },
-  'claude-sonnet-4': { context: 200000, name: 'Claude Sonnet 4' },
-  // Legacy Claude
-  'claude-3-haiku': { context: 200000, name: 'Claude 3 Haiku' },
-  'claude-3-7-sonnet': { context: 200000, name: 'Claude 3.7 Sonnet' },
-
-  // Google Gemini 3 Family
-  'gemini-3-pro': { context: 1000000, name: 'Gemini 3 Pro' },
-  'gemini-3-deep-think': { context: 1000000, name: 'Gemini 3 Deep Think' },
-  'gemini-3-flash': { context: 1000000, name: 'Gemini 3 Flash' },
-  'gemini-2.5-flash': { context: 1000000, name: 'Gemini 2.5 Flash' },
-  // Legacy Gemini
-  'gemini-2.0-flash': { context: 1000000, name: 'Gemini 2.0 Flash' },
-  'gemini-1.5-pro': { context: 2000000, name: 'Gemini 1.5 Pro' },
-};
+importScripts('lib/tokenizer.js', 'lib/registry.js');
 
-const DEFAULT_LIMITS = {
-  chatgpt: { context: 128000, name: 'ChatGPT' },
-  claude: { context: 200000, name: 'Claude' },
-  gemini: { context: 1000000, name: 'Gemini 3' }
-};
+const registry = ContextCounter.registry;
+registry.load();
 
 // =============================================================================
 // STATE MANAGEMENT
 // =============================================================================
 
-const tabState = {};
+// Usage is kept per conversation ("platform:conversationId") rather than per
+// tab, so reopening a chat, reloading a tab or a worker restart brings it back.
+// Saved conversations persist in chrome.storage.local. Unsaved new chats
+// ("platform:new:tabId") and which conversation each tab shows only need to
+// outlive the worker, so they go in chrome.storage.session.
+const CONVERSATIONS_KEY = 'conversationState'; // chrome.storage.local
+const SESSION_KEY = 'sessionState';           // chrome.storage.session - { tabs, drafts }
+const MAX_SAVED_CONVERSATIONS = 500;
+const SAVE_DELAY_MS = 1000;
+
+let conversations = {}; // conversation key -> state
+let tabConversations = {}; // tabId -> conversation key
+let saveTimer = null;
+
+const stateReady = Promise.all([
+  chrome.storage.local.get(CONVERSATIONS_KEY),
+  chrome.storage.session.get(SESSION_KEY)
+]).then(([local, session]) => {
+  const { tabs = {}, drafts = {} } = session[SESSION_KEY] || {};
+  conversations = { ...local[CONVERSATIONS_KEY], ...drafts };
+  tabConversations = tabs;
+}).catch(() => {});
+
+const BADGE_COLORS = {
+  normal: '#6B7280',
+  warning: '#F59E0B',
+  critical: '#EF4444'
+};
 
 // =============================================================================
 // UTILITY FUNCTIONS
@@ -73,34 +65,108 @@ function getPlatform(url) {
 }
 
 /**
- * Get model limit with fuzzy matching
+ * Conversation ID from a chat URL (null on a new, unsaved chat)
  */
-function getModelLimit(modelId, platform) {
-  if (!modelId) {
-    const defaults = DEFAULT_LIMITS[platform] || { context: 128000, name: 'Unknown Model' };
-    return { limit: defaults.context, modelName: defaults.name };
+function getConversationId(platform, url) {
+  const patterns = {
+    chatgpt: /\/c\/([\w-]+)/,
+    claude: /\/chat\/([\w-]+)/,
+    gemini: /\/(?:app|gem\/[\w-]+)\/([\w-]+)/
+  };
+  try {
+    const match = new URL(url).pathname.match(patterns[platform]);
+    return match ? match[1] : null;
+  } catch (e) {
+    return null;
   }
+}
 
-  const lowerModelId = modelId.toLowerCase();
+function isDraftKey(key) {
+  return key.includes(':new:');
+}
 
-  // Exact match
-  if (MODEL_LIMITS[lowerModelId]) {
-    return {
-      limit: MODEL_LIMITS[lowerModelId].context,
-      modelName: MODEL_LIMITS[lowerModelId].name,
-    };
-  }
+function createState(platform, conversationId) {
+  const defaultModel = registry.getDefaultModel(platform);
+  return {
+    platform,
+    conversationId,
+    modelId: null,
+    modelName: defaultModel.name,
+    modelRecognized: true,
+    contextLimit: defaultModel.context,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    overlay: null,
+    lastUpdate: Date.now()
+  };
+}
+
+/**
+ * Point a tab at the conversation it shows and return that conversation's
+ * state (created if new). conversationId defaults to the one in the URL.
+ */
+function attachTab(tabId, url, conversationId = undefined) {
+  const platform = getPlatform(url);
+  if (!platform) return null;
+  if (conversationId === undefined) conversationId = getConversationId(platform, url);
 
-  // Fuzzy match
-  for (const [key, value] of Object.entries(MODEL_LIMITS)) {
-    if (lowerModelId.includes(key) || key.includes(lowerModelId)) {
-      return { limit: value.context, modelName: value.name };
+  const key = conversationId ? `${platform}:${conversationId}` : `${platform}:new:${tabId}`;
+  const previous = tabConversations[tabId];
+  if (previous !== key) {
+    // A new chat with messages that now has an ID is the same conversation.
+    // Either way the draft won't be shown again.
+    const draft = previous && isDraftKey(previous) ? conversations[previous] : null;
+    if (draft) {
+      delete conversations[previous];
+      const hasContent = draft.totalTokens > 0 || draft.overlay?.total > 0;
+      if (hasContent && conversationId && !conversations[key]) {
+        conversations[key] = { ...draft, conversationId, overlay: draft.overlay && { ...draft.overlay, conversationId } };
+      }
     }
+    tabConversations[tabId] = key;
+    scheduleSave();
   }
+  if (!conversations[key]) conversations[key] = createState(platform, conversationId);
+  return conversations[key];
+}
+
+function getTabState(tabId) {
+  const key = tabConversations[tabId];
+  return key ? conversations[key] || null : null;
+}
+
+function detachTab(tabId) {
+  const key = tabConversations[tabId];
+  if (key && isDraftKey(key)) delete conversations[key];
+  delete tabConversations[tabId];
+  scheduleSave();
+}
 
-  // Platform defaults
-  const defaults = DEFAULT_LIMITS[platform] || { context: 128000, name: 'Unknown Model' };
-  return { limit: defaults.context, modelName: modelId };
+// Tabs showing a conversation, so one update reaches all of them
+function getTabsFor(state) {
+  return Object.keys(tabConversations)
+    .filter(tabId => conversations[tabConversations[tabId]] === state)
+    .map(Number);
+}
+
+/**
+ * Persist state shortly after it changes (updates arrive in bursts). Only the
+ * most recently used saved conversations are kept.
+ */
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    const saved = Object.entries(conversations)
+      .filter(([key]) => !isDraftKey(key))
+      .sort((a, b) => b[1].lastUpdate - a[1].lastUpdate)
+      .slice(0, MAX_SAVED_CONVERSATIONS);
+    const drafts = Object.entries(conversations).filter(([key]) => isDraftKey(key));
+    conversations = Object.fromEntries([...saved, ...drafts]);
+
+    chrome.storage.local.set({ [CONVERSATIONS_KEY]: Object.fromEntries(saved) }).catch(() => {});
+    chrome.storage.session.set({ [SESSION_KEY]: { tabs: tabConversations, drafts: Object.fromEntries(drafts) } }).catch(() => {});
+  }, SAVE_DELAY_MS);
 }
 
 /**
@@ -108,36 +174,327 @@ function getModelLimit(modelId, platform) {
  */
 function sendUpdate(tabId, data) {
   chrome.tabs.sendMessage(tabId, { type: 'CONTEXT_UPDATE', data }).catch(() => {});
+  notifyPopup(tabId, data);
+  updateBadge(tabId, data);
+}
+
+/**
+ * Send update to the toolbar popup (fails quietly when it isn't open)
+ */
+function notifyPopup(tabId, data) {
+  chrome.runtime.sendMessage({ type: 'CONTEXT_UPDATE', tabId, data }).catch(() => {});
+}
+
+/**
+ * Tokens used and percentage of the limit, preferring what the overlay shows
+ */
+function getUsage(state) {
+  const total = state.overlay?.total ?? state.totalTokens ?? 0;
+  const limit = state.overlay?.contextLimit || state.contextLimit || 0;
+  return { total, limit, percentage: limit ? (total / limit) * 100 : 0 };
+}
+
+/**
+ * Show the tab's usage on the toolbar icon ("73%")
+ */
+function updateBadge(tabId, state) {
+  const { total, percentage } = getUsage(state);
+  // Same warning/critical thresholds as the overlay
+  const color = BADGE_COLORS[registry.getAlertLevel(percentage) || 'normal'];
+
+  const text = total > 0 ? `${Math.round(percentage)}%` : '';
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  chrome.action.setBadgeTextColor({ tabId, color: '#FFFFFF' }).catch(() => {});
+}
+
+/**
+ * Clear the badge when a tab leaves the supported sites
+ */
+function clearBadge(tabId) {
+  chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+}
+
+function formatTokens(count) {
+  if (count >= 1000000) return (count / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+  if (count >= 1000) return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+  return count.toString();
+}
+
+// =============================================================================
+// THRESHOLD ALERTS
+// =============================================================================
+
+// Which thresholds have fired per conversation, muted conversations and the
+// snooze end time - kept in storage so reloads don't repeat alerts
+const ALERT_STATE_KEY = 'alertState';
+const SNOOZE_MS = 60 * 60 * 1000;
+const ALERT_HISTORY_MS = 30 * 24 * 60 * 60 * 1000; // Forget fired alerts after 30 days
+
+let alertState = null;
+let alertStatePromise = null;
+
+function loadAlertState() {
+  if (!alertStatePromise) {
+    alertStatePromise = chrome.storage.local.get(ALERT_STATE_KEY).then(result => {
+      alertState = { fired: {}, muted: {}, snoozedUntil: 0, ...result[ALERT_STATE_KEY] };
+    });
+  }
+  return alertStatePromise;
+}
+
+function saveAlertState() {
+  const cutoff = Date.now() - ALERT_HISTORY_MS;
+  for (const [key, entry] of Object.entries(alertState.fired)) {
+    if (entry.updated < cutoff) delete alertState.fired[key];
+  }
+  chrome.storage.local.set({ [ALERT_STATE_KEY]: alertState }).catch(() => {});
+}
+
+/**
+ * Notify once per conversation for each threshold its usage crosses
+ */
+function checkThresholds(tabId, tab, state) {
+  const conversationId = state.overlay?.conversationId;
+  if (!conversationId || !registry.getNotificationsEnabled()) return;
+
+  const key = `${state.platform}:${conversationId}`;
+  const { total, limit, percentage } = getUsage(state);
+
+  loadAlertState().then(() => {
+    if (alertState.muted[key] || Date.now() < alertState.snoozedUntil) return;
+
+    const fired = alertState.fired[key]?.thresholds || [];
+    const crossed = registry.getThresholds().filter(threshold => percentage >= threshold && !fired.includes(threshold));
+    if (crossed.length === 0) return;
+
+    alertState.fired[key] = { thresholds: fired.concat(crossed), updated: Date.now() };
+    saveAlertState();
+
+    // One alert for the highest threshold crossed since the last check
+    const threshold = crossed[crossed.length - 1];
+    const model = state.overlay.model || state.modelName || registry.getPlatformName(state.platform);
+    chrome.notifications.create(JSON.stringify({ tabId, key }), {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Context ${threshold}% full`,
+      message: `${tab.title || registry.getPlatformName(state.platform)}\n${model}: ${formatTokens(total)} / ${formatTokens(limit)} tokens`,
+      buttons: [{ title: 'Snooze alerts for 1 hour' }, { title: 'Mute this conversation' }],
+      priority: registry.getAlertLevel(percentage) === 'critical' ? 2 : 0
+    }).catch(() => {});
+  });
+}
+
+// Notification ids carry the tab and conversation they are about
+function parseNotificationId(notificationId) {
+  try {
+    return JSON.parse(notificationId);
+  } catch (e) {
+    return null;
+  }
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const target = parseNotificationId(notificationId);
+  chrome.notifications.clear(notificationId);
+  if (!target) return;
+
+  chrome.tabs.update(target.tabId, { active: true })
+    .then(tab => chrome.windows.update(tab.windowId, { focused: true }))
+    .catch(() => {});
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const target = parseNotificationId(notificationId);
+  chrome.notifications.clear(notificationId);
+  if (!target) return;
+
+  loadAlertState().then(() => {
+    if (buttonIndex === 0) {
+      alertState.snoozedUntil = Date.now() + SNOOZE_MS;
+    } else {
+      alertState.muted[target.key] = Date.now();
+    }
+    saveAlertState();
+  });
+});
+
+// =============================================================================
+// USAGE HISTORY
+// =============================================================================
+
+// Per-conversation usage over time for the history page: the peak and its
+// segments, models used, and a thinned series of snapshots. Counts only - no
+// message text. Kept for the retention period set on the history page.
+const HISTORY_KEY = 'usageHistory';
+const MAX_HISTORY_CONVERSATIONS = 1000;
+const MAX_SNAPSHOTS = 50;
+const SNAPSHOT_STEP = 0.02; // A new snapshot once usage moves 2% of the limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let usageHistory = null; // conversation key -> entry
+let historyPromise = null;
+let historySaveTimer = null;
+
+function loadHistory() {
+  if (!historyPromise) {
+    historyPromise = chrome.storage.local.get(HISTORY_KEY)
+      .then(result => { usageHistory = result[HISTORY_KEY] || {}; })
+      .catch(() => { usageHistory = {}; });
+  }
+  return historyPromise;
+}
+
+function pruneHistory() {
+  const cutoff = Date.now() - registry.getHistorySettings().retentionDays * DAY_MS;
+  usageHistory = Object.fromEntries(Object.entries(usageHistory)
+    .filter(([, entry]) => entry.lastSeen >= cutoff)
+    .sort((a, b) => b[1].lastSeen - a[1].lastSeen)
+    .slice(0, MAX_HISTORY_CONVERSATIONS));
+}
+
+function saveHistory() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(() => {
+    pruneHistory();
+    chrome.storage.local.set({ [HISTORY_KEY]: usageHistory }).catch(() => {});
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Add a conversation's current usage to its history
+ */
+function recordHistory(state) {
+  if (!state.conversationId || !registry.getHistorySettings().enabled) return;
+  const { total, limit, percentage } = getUsage(state);
+  if (!total || !limit) return;
+  const model = state.overlay?.model || state.modelName || registry.getPlatformName(state.platform);
+  const plan = state.overlay?.plan || null;
+
+  loadHistory().then(() => {
+    const key = `${state.platform}:${state.conversationId}`;
+    const now = Date.now();
+    const entry = usageHistory[key] || (usageHistory[key] = {
+      platform: state.platform,
+      conversationId: state.conversationId,
+      firstSeen: now,
+      lastSeen: now,
+      peakTokens: 0,
+      peakPercent: 0,
+      contextLimit: limit,
+      plan,
+      models: [],
+      modelSwitches: 0,
+      segments: null,
+      snapshots: []
+    });
+
+    entry.lastSeen = now;
+    entry.contextLimit = limit;
+    if (plan) entry.plan = plan;
+    if (!entry.models.includes(model)) entry.models.push(model);
+
+    const last = entry.snapshots[entry.snapshots.length - 1];
+    if (last && last.model !== model) entry.modelSwitches++;
+    if (total >= entry.peakTokens) {
+      entry.peakTokens = total;
+      entry.peakPercent = Math.round(percentage * 10) / 10;
+      entry.segments = state.overlay?.segments || null;
+    }
+    if (!last || last.model !== model || Math.abs(total - last.total) >= limit * SNAPSHOT_STEP) {
+      entry.snapshots.push({ time: now, total, limit, model });
+      // Thin from the second-oldest so the series keeps its start
+      if (entry.snapshots.length > MAX_SNAPSHOTS) entry.snapshots.splice(1, 1);
+    }
+    saveHistory();
+  });
+}
+
+/**
+ * Highest known usage of each saved conversation on a platform, for the
+ * sidebar annotations: conversationId -> { total, limit, percentage }.
+ * Merges the history's peaks with the saved state, which covers conversations
+ * from before history was recorded. Nothing while recording is off.
+ */
+function getPeakUsage(platform) {
+  const peaks = {};
+  if (!registry.getHistorySettings().enabled) return peaks;
+  const add = (conversationId, usage) => {
+    if (!usage.total || !usage.limit) return;
+    if (!peaks[conversationId] || usage.percentage > peaks[conversationId].percentage) peaks[conversationId] = usage;
+  };
+
+  Object.values(conversations)
+    .filter(state => state.platform === platform && state.conversationId)
+    .forEach(state => add(state.conversationId, getUsage(state)));
+  Object.values(usageHistory)
+    .filter(entry => entry.platform === platform)
+    .forEach(entry => add(entry.conversationId, {
+      total: entry.peakTokens,
+      limit: entry.contextLimit,
+      percentage: entry.peakPercent
+    }));
+  return peaks;
 }
 
 // =============================================================================
 // EVENT LISTENERS
 // =============================================================================
 
-// Initialize tab state on page load
+// Attach the tab to its conversation on page load (restoring any saved state)
 chrome.webRequest.onCompleted.addListener(
   (details) => {
-    if (details.type !== 'main_frame') return;
-
-    const platform = getPlatform(details.url);
-    if (!platform) return;
-
-    tabState[details.tabId] = {
-      platform,
-      modelId: null,
-      modelName: DEFAULT_LIMITS[platform]?.name || 'Unknown',
-      contextLimit: DEFAULT_LIMITS[platform]?.context || 128000,
-      inputTokens: 0,
-      outputTokens: 0,
-      totalTokens: 0,
-      lastUpdate: Date.now(),
-    };
+    if (details.type !== 'main_frame' || details.tabId < 0) return;
+    Promise.all([stateReady, registry.load()]).then(() => attachTab(details.tabId, details.url));
   },
   { urls: ['*://chat.openai.com/*', '*://chatgpt.com/*', '*://claude.ai/*', '*://gemini.google.com/*'] }
 );
 
 // Handle messages from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // The popup and options page are extension pages, not tabs
+  if (message.type === 'GET_ALL_STATES') {
+    stateReady.then(() => {
+      const tabs = {};
+      for (const tabId of Object.keys(tabConversations)) {
+        const state = getTabState(tabId);
+        if (state) tabs[tabId] = state;
+      }
+      sendResponse({ success: true, tabs });
+    });
+    return true;
+  }
+  if (message.type === 'GET_HISTORY') {
+    Promise.all([loadHistory(), registry.load()]).then(() => {
+      pruneHistory();
+      sendResponse({ success: true, history: usageHistory });
+    });
+    return true;
+  }
+  if (message.type === 'WIPE_HISTORY') {
+    Promise.all([stateReady, loadHistory()]).then(() => {
+      clearTimeout(historySaveTimer);
+      usageHistory = {};
+      // Saved conversation state holds usage too (see getPeakUsage) - keep only what open tabs show
+      const open = new Set(Object.values(tabConversations));
+      conversations = Object.fromEntries(Object.entries(conversations).filter(([key]) => open.has(key)));
+      scheduleSave();
+      return chrome.storage.local.remove(HISTORY_KEY);
+    }).then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (message.type === 'RESET_ALERTS') {
+    // Unmute every conversation and end any snooze
+    loadAlertState().then(() => {
+      alertState.muted = {};
+      alertState.snoozedUntil = 0;
+      saveAlertState();
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
   const tabId = sender.tab?.id;
   if (!tabId) {
     sendResponse({ success: false, error: 'No tab ID' });
@@ -145,53 +502,116 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'TOKEN_DATA') {
-    const state = tabState[tabId] || {};
-    const platform = state.platform || getPlatform(sender.tab.url);
+    // Wait for saved state, and for user overrides so the limit reflects the options page
+    Promise.all([stateReady, registry.load()]).then(() => {
+      const state = attachTab(tabId, sender.tab.url, 'conversationId' in message ? message.conversationId : undefined);
+      if (!state) {
+        sendResponse({ success: false, error: 'Unsupported site' });
+        return;
+      }
 
-    if (message.modelId) {
-      const { limit, modelName } = getModelLimit(message.modelId, platform);
-      state.modelId = message.modelId;
-      state.modelName = modelName;
-      state.contextLimit = limit;
-    }
+      if (message.modelId) {
+        const { limit, modelName, recognized } = registry.getModelLimit(message.modelId, state.platform);
+        state.modelId = message.modelId;
+        state.modelName = modelName;
+        state.modelRecognized = recognized;
+        state.contextLimit = limit;
+      }
 
-    if (message.inputTokens !== undefined) state.inputTokens = message.inputTokens;
-    if (message.outputTokens !== undefined) state.outputTokens = message.outputTokens;
-    if (message.totalTokens !== undefined) state.totalTokens = message.totalTokens;
+      if (message.inputTokens !== undefined) state.inputTokens = message.inputTokens;
+      if (message.outputTokens !== undefined) state.outputTokens = message.outputTokens;
+      if (message.totalTokens !== undefined) state.totalTokens = message.totalTokens;
 
-    state.lastUpdate = Date.now();
-    state.platform = platform;
-    tabState[tabId] = state;
+      state.lastUpdate = Date.now();
+      scheduleSave();
+      recordHistory(state);
 
-    sendUpdate(tabId, state);
-    sendResponse({ success: true });
+      getTabsFor(state).forEach(id => sendUpdate(id, state));
+      sendResponse({ success: true });
+    });
+  } else if (message.type === 'GET_REGISTRY') {
+    // Content scripts can't fetch extension files without exposing them to the page
+    registry.load().then(() => sendResponse({ success: true, data: registry.getBundledData() }));
+  } else if (message.type === 'OVERLAY_STATE') {
+    // What the overlay shows, including counts estimated from the page.
+    // Thresholds come from the options page.
+    Promise.all([stateReady, registry.load()]).then(() => {
+      const state = attachTab(tabId, sender.tab.url, message.state?.conversationId || null);
+      if (!state) {
+        sendResponse({ success: false, error: 'Unsupported site' });
+        return;
+      }
+      state.overlay = message.state;
+      state.lastUpdate = Date.now();
+      scheduleSave();
+      recordHistory(state);
+
+      notifyPopup(tabId, state);
+      updateBadge(tabId, state);
+      checkThresholds(tabId, sender.tab, state);
+      sendResponse({ success: true });
+    });
   } else if (message.type === 'GET_STATE') {
-    sendResponse({ success: true, state: tabState[tabId] || null });
+    // The content script passes the conversation it shows - the tab's URL can lag a client-side navigation
+    Promise.all([stateReady, registry.load()]).then(() => {
+      const conversationId = 'conversationId' in message ? message.conversationId : undefined;
+      sendResponse({ success: true, state: attachTab(tabId, sender.tab.url, conversationId) });
+    });
+  } else if (message.type === 'GET_PEAK_USAGE') {
+    Promise.all([stateReady, loadHistory(), registry.load()]).then(() => {
+      sendResponse({ success: true, usage: getPeakUsage(getPlatform(sender.tab.url)) });
+    });
+  } else if (message.type === 'COUNT_TOKENS') {
+    // Tokenize here so long chats don't block the page's main thread
+    ContextCounter.tokenizer.countTokens(message.texts || [], message.encoding)
+      .then(counts => sendResponse({ success: true, counts }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
   }
 
   return true;
 });
 
-// Clean up on tab close
+// Clean up on tab close (the conversation's state stays saved)
 chrome.tabs.onRemoved.addListener((tabId) => {
-  delete tabState[tabId];
+  stateReady.then(() => detachTab(tabId));
+  chrome.runtime.sendMessage({ type: 'TAB_REMOVED', tabId }).catch(() => {});
 });
 
-// Reset on navigation
+// Show the state of whichever conversation the tab navigated to
 chrome.webNavigation.onCommitted.addListener((details) => {
   if (details.frameId !== 0) return;
 
   const tabId = details.tabId;
-  const platform = getPlatform(details.url);
-
-  if (platform && tabState[tabId]) {
-    tabState[tabId] = {
-      ...tabState[tabId],
-      inputTokens: 0,
-      outputTokens: 0,
-      totalTokens: 0,
-      lastUpdate: Date.now(),
-    };
-    sendUpdate(tabId, tabState[tabId]);
-  }
+  Promise.all([stateReady, registry.load()]).then(() => {
+    if (getPlatform(details.url)) {
+      sendUpdate(tabId, attachTab(tabId, details.url));
+    } else if (tabConversations[tabId]) {
+      // Left ChatGPT/Claude/Gemini - stop tracking the tab
+      detachTab(tabId);
+      clearBadge(tabId);
+      chrome.runtime.sendMessage({ type: 'TAB_REMOVED', tabId }).catch(() => {});
+    }
+  });
+});
+
+// Re-apply limits when the user edits overrides or imports a registry
+registry.onChange(() => {
+  stateReady.then(() => {
+    for (const state of Object.values(conversations)) {
+      if (!state.modelId) continue;
+      const { limit, modelName, recognized } = registry.getModelLimit(state.modelId, state.platform);
+      state.contextLimit = limit;
+      state.modelName = modelName;
+      state.modelRecognized = recognized;
+    }
+    for (const tabId of Object.keys(tabConversations)) {
+      const state = getTabState(tabId);
+      if (!state) continue;
+      if (state.modelId) sendUpdate(Number(tabId), state);
+      else updateBadge(Number(tabId), state);
+    }
+    scheduleSave();
+  });
+  // The retention period may have changed
+  loadHistory().then(saveHistory);
 });
@@ -31,18 +31,30 @@
   // State object for tracking token usage
   // Context limits vary by platform AND plan level (especially ChatGPT)
   // Using conservative (free tier) defaults until plan is detected
-  const platformNames = { chatgpt: 'ChatGPT', claude: 'Claude', gemini: 'Gemini 3' };
-  const defaultLimits = { chatgpt: 16000, claude: 200000, gemini: 1000000 }; // Gemini 3 is 1M for paid
+  // Limits, plans and OS Tax come from the shared registry (defaults + options page overrides)
+  const registry = ContextCounter.registry;
   const state = {
-    model: platformNames[platform] || 'Context', // Default to platform name
+    model: registry.getPlatformName(platform), // Display name - defaults to platform name
+    modelId: null, // API model ID from the site's network data
+    modelLabel: null, // Model name shown in the site's UI
+    modelRecognized: true, // False when the registry has no match for modelId/modelLabel
     plan: null, // 'free', 'plus', 'pro', 'team', 'enterprise', 'ultra'
-    contextLimit: defaultLimits[platform] || 128000,
-    segments: { system: 0, tools: 0, thinking: 0, conversation: 0 },
-    total: 0
+    contextLimit: registry.getPlanLimit(platform, null),
+    segments: { system: 0, tools: 0, thinking: 0, attachments: 0, conversation: 0 },
+    toolBreakdown: [], // [[toolName, tokens]], largest first
+    attachmentItems: [], // [{ name, tokens }] - tokens null when the size isn't known
+    systemItems: [], // [{ name, tokens }] - what makes up the OS Tax
+    total: 0,
+    source: 'dom', // 'network' when counted from the site's conversation data
+    branch: null, // { index, count } when viewing one branch of an edited/regenerated thread
+    partial: false, // The start of the thread hasn't been loaded, so earlier messages are missing
+    forecast: 0 // Tokens typed or pasted into the composer but not sent yet
   };
 
   let overlayElement = null;
   let lastUpdateTime = 0;
+  let domObserver = null; // Watches the page; its records invalidate cached element text
+  let dropPending = false; // A lower total was read once; apply it if the next read agrees
   const UPDATE_THROTTLE_MS = 500; // Don't update more than twice per second
 
   // Format token count for display (e.g., 84000 -> "84K", 1200000 -> "1.2M")
@@ -117,6 +129,43 @@
         opacity: 1;
         visibility: visible;
       }
+      .cw-panel {
+        position: absolute;
+        bottom: 100%;
+        right: 0;
+        width: 300px;
+        margin-bottom: 8px;
+        padding: 8px 10px;
+        border-radius: 6px;
+        font-size: 11px;
+        background: ${theme.tooltipBg};
+        border: 1px solid ${theme.border};
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+      }
+      .cw-panel[hidden] { display: none; }
+      .panel-open .cw-tooltip { display: none; }
+      .cw-panel-header { display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 6px; font-weight: 600; }
+      .cw-panel-sort { display: flex; gap: 4px; }
+      .cw-panel-sort button, .cw-panel-toggle {
+        font: inherit;
+        font-size: 10px;
+        color: inherit;
+        background: none;
+        border: 1px solid ${theme.border};
+        border-radius: 4px;
+        padding: 1px 6px;
+        cursor: pointer;
+      }
+      .cw-panel-sort button.active { background: ${theme.progressBg}; }
+      .cw-panel-list { max-height: 320px; overflow-y: auto; }
+      .cw-panel-row { display: grid; grid-template-columns: 34px 1fr auto 34px; gap: 6px; align-items: center; padding: 3px 2px; border-radius: 4px; cursor: pointer; }
+      .cw-panel-row:hover { background: ${theme.progressBg}; }
+      .cw-panel-role { font-size: 9px; font-weight: 600; text-transform: uppercase; opacity: 0.6; }
+      .cw-panel-preview { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; opacity: 0.8; }
+      .cw-panel-tokens, .cw-panel-share { text-align: right; font-variant-numeric: tabular-nums; }
+      .cw-panel-share { opacity: 0.6; }
+      .cw-panel-row.offscreen .cw-panel-preview { font-style: italic; opacity: 0.6; }
+      .cw-panel-empty { opacity: 0.6; text-align: center; padding: 8px 0; }
       .cw-header {
         display: flex;
         justify-content: space-between;
@@ -137,17 +186,27 @@
       .cw-segment-system { background: #6B7280; }
       .cw-segment-tools { background: #3B82F6; }
       .cw-segment-thinking { background: #8B5CF6; }
+      .cw-segment-attachments { background: #14B8A6; }
       .cw-segment-conversation { background: ${theme.conversationColor}; }
+      .cw-segment-forecast { background: repeating-linear-gradient(45deg, ${theme.conversationColor}, ${theme.conversationColor} 3px, transparent 3px, transparent 6px); opacity: 0.6; }
+      .over-limit .cw-segment-forecast { background: repeating-linear-gradient(45deg, #EF4444, #EF4444 3px, transparent 3px, transparent 6px); opacity: 1; }
       .cw-tooltip-row { display: flex; justify-content: space-between; align-items: center; padding: 2px 0; }
       .cw-tooltip-label { display: flex; align-items: center; gap: 6px; }
       .cw-tooltip-dot { width: 8px; height: 8px; border-radius: 50%; }
       .cw-tooltip-dot.system { background: #6B7280; }
       .cw-tooltip-dot.tools { background: #3B82F6; }
       .cw-tooltip-dot.thinking { background: #8B5CF6; }
+      .cw-tooltip-dot.attachments { background: #14B8A6; }
       .cw-tooltip-dot.conversation { background: ${theme.conversationColor}; }
       .cw-tooltip-value { font-weight: 500; opacity: 0.8; }
       .cw-tooltip-divider { height: 1px; background: currentColor; opacity: 0.2; margin: 6px 0; }
       .cw-tooltip-total { font-weight: 600; }
+      .cw-branch-note, .cw-partial-note { font-size: 10px; opacity: 0.6; margin-top: 4px; }
+      .cw-forecast { font-size: 10px; opacity: 0.7; margin-top: 4px; font-variant-numeric: tabular-nums; }
+      .over-limit .cw-forecast { color: #EF4444; font-weight: 600; opacity: 1; }
+      .cw-thinking-note { font-size: 9px; opacity: 0.5; padding: 0 0 2px 14px; }
+      .cw-breakdown-row { display: flex; justify-content: space-between; gap: 8px; font-size: 10px; opacity: 0.6; padding: 0 0 1px 14px; }
+      .cw-breakdown-name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
       .cw-tooltip-note { font-size: 9px; opacity: 0.5; text-align: center; margin-top: 6px; font-style: italic; }
       .cw-attribution { margin-top: 8px; padding-top: 6px; border-top: 1px solid currentColor; opacity: 0.15; text-align: center; font-size: 9px; }
       .cw-attribution a { color: inherit; text-decoration: none; }
@@ -155,6 +214,46 @@
       .warning .cw-progress-container { animation: pulse-warning 1.5s ease-in-out infinite; }
       .critical .cw-token-count { color: #EF4444; }
       .critical .cw-progress-container { animation: pulse-critical 1s ease-in-out infinite; }
+      .cw-paste-dialog {
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        width: 360px;
+        max-width: calc(100vw - 32px);
+        padding: 16px;
+        border-radius: 8px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 12px;
+        line-height: 1.4;
+        color: ${theme.text};
+        background: ${theme.tooltipBg};
+        border: 1px solid ${theme.border};
+        box-shadow: 0 12px 32px rgba(0, 0, 0, 0.3);
+      }
+      .cw-paste-dialog[hidden] { display: none; }
+      .cw-paste-title { font-size: 13px; font-weight: 600; margin-bottom: 6px; }
+      .cw-paste-budget { display: flex; align-items: center; gap: 6px; margin: 12px 0; flex-wrap: wrap; }
+      .cw-paste-budget input {
+        width: 90px;
+        font: inherit;
+        color: inherit;
+        background: none;
+        border: 1px solid ${theme.border};
+        border-radius: 4px;
+        padding: 3px 6px;
+      }
+      .cw-paste-dialog button {
+        font: inherit;
+        color: inherit;
+        background: none;
+        border: 1px solid ${theme.border};
+        border-radius: 4px;
+        padding: 4px 10px;
+        cursor: pointer;
+      }
+      .cw-paste-dialog button:hover { background: ${theme.progressBg}; }
+      .cw-paste-actions { display: flex; justify-content: flex-end; gap: 8px; }
       @keyframes pulse-warning { 0%, 100% { box-shadow: 0 0 0 0 rgba(251, 191, 36, 0.4); } 50% { box-shadow: 0 0 0 4px rgba(251, 191, 36, 0); } }
       @keyframes pulse-critical { 0%, 100% { box-shadow: 0 0 0 0 rgba(239, 68, 68, 0.4); } 50% { box-shadow: 0 0 0 4px rgba(239, 68, 68, 0); } }
     `;
@@ -164,19 +263,37 @@
     const overlay = document.createElement('div');
     overlay.id = 'context-window-overlay';
     overlay.innerHTML = `
+      <div class="cw-panel" hidden>
+        <div class="cw-panel-header">
+          <span class="cw-panel-title">Messages</span>
+          <span class="cw-panel-sort">
+            <button type="button" data-sort="order" class="active">Order</button>
+            <button type="button" data-sort="size">Size</button>
+          </span>
+        </div>
+        <div class="cw-panel-list"></div>
+      </div>
       <div class="cw-tooltip">
         <div class="cw-tooltip-row">
           <span class="cw-tooltip-label"><span class="cw-tooltip-dot system"></span><span>OS Tax</span></span>
           <span class="cw-tooltip-value" data-segment="system">0</span>
         </div>
+        <div class="cw-system-breakdown"></div>
         <div class="cw-tooltip-row">
           <span class="cw-tooltip-label"><span class="cw-tooltip-dot tools"></span><span>Tools</span></span>
           <span class="cw-tooltip-value" data-segment="tools">0</span>
         </div>
+        <div class="cw-tool-breakdown"></div>
         <div class="cw-tooltip-row">
           <span class="cw-tooltip-label"><span class="cw-tooltip-dot thinking"></span><span>Thinking</span></span>
           <span class="cw-tooltip-value" data-segment="thinking">0</span>
         </div>
+        <div class="cw-thinking-note"></div>
+        <div class="cw-tooltip-row">
+          <span class="cw-tooltip-label"><span class="cw-tooltip-dot attachments"></span><span>Attachments</span></span>
+          <span class="cw-tooltip-value" data-segment="attachments">0</span>
+        </div>
+        <div class="cw-attachment-breakdown"></div>
         <div class="cw-tooltip-row">
           <span class="cw-tooltip-label"><span class="cw-tooltip-dot conversation"></span><span>Conversation</span></span>
           <span class="cw-tooltip-value" data-segment="conversation">0</span>
@@ -186,7 +303,7 @@
           <span>Total (est.)</span>
           <span class="cw-tooltip-total-value">0 / ${formatTokens(state.contextLimit)}</span>
         </div>
-        <div class="cw-tooltip-note">Values are estimated from visible text</div>
+        <div class="cw-tooltip-note">Counted offline from visible text</div>
         <div class="cw-attribution">
           <a href="https://remixpartners.ai" target="_blank" rel="noopener">Created by remixpartners.ai</a>
         </div>
@@ -194,18 +311,67 @@
       <div class="cw-header">
         <span class="cw-model-name">${state.model}</span>
         <span class="cw-token-count">0 / ${formatTokens(state.contextLimit)}</span>
+        <button type="button" class="cw-panel-toggle" title="Show each message's share" aria-label="Messages">☰</button>
       </div>
       <div class="cw-progress-container">
         <div class="cw-progress-bar">
           <div class="cw-segment cw-segment-system" style="width: 0%"></div>
           <div class="cw-segment cw-segment-tools" style="width: 0%"></div>
           <div class="cw-segment cw-segment-thinking" style="width: 0%"></div>
+          <div class="cw-segment cw-segment-attachments" style="width: 0%"></div>
           <div class="cw-segment cw-segment-conversation" style="width: 0%"></div>
+          <div class="cw-segment cw-segment-forecast" style="width: 0%"></div>
         </div>
       </div>
+      <div class="cw-forecast" hidden></div>
+      <div class="cw-partial-note" hidden>Partial - scroll to the top of the chat to count earlier messages</div>
+      <div class="cw-branch-note" hidden></div>
     `;
 
+    // Per-message panel: toggled from the header, sorted in reading order or by size
+    overlay.querySelector('.cw-panel-toggle').addEventListener('click', () => {
+      messagePanel.open = !messagePanel.open;
+      renderMessagePanel();
+    });
+    overlay.querySelectorAll('.cw-panel-sort button').forEach(button => {
+      button.addEventListener('click', () => {
+        messagePanel.sort = button.dataset.sort;
+        renderMessagePanel();
+      });
+    });
+
     shadowRoot.appendChild(overlay);
+
+    // Large-paste confirmation (see onComposerPaste)
+    const pasteDialog = document.createElement('div');
+    pasteDialog.className = 'cw-paste-dialog';
+    pasteDialog.hidden = true;
+    pasteDialog.setAttribute('role', 'dialog');
+    pasteDialog.innerHTML = `
+      <div class="cw-paste-title">Large paste</div>
+      <div class="cw-paste-message"></div>
+      <div class="cw-paste-budget">
+        <span>Keep up to</span>
+        <input type="number" min="1" step="100" class="cw-paste-budget-value">
+        <span>tokens:</span>
+        <button type="button" data-action="head">First part</button>
+        <button type="button" data-action="tail">Last part</button>
+      </div>
+      <div class="cw-paste-actions">
+        <button type="button" data-action="cancel">Cancel</button>
+        <button type="button" data-action="paste">Paste anyway</button>
+      </div>
+    `;
+    pasteDialog.addEventListener('click', (event) => {
+      const action = event.target.closest('button')?.dataset.action;
+      if (action) resolvePaste(action);
+    });
+    pasteDialog.addEventListener('keydown', (event) => {
+      event.stopPropagation(); // Keep the site's shortcuts out of the dialog
+      if (event.key === 'Escape') resolvePaste('cancel');
+    });
+    shadowRoot.appendChild(pasteDialog);
+
     return overlay;
   }
 
@@ -221,18 +387,18 @@
     const modelNameEl = shadowRoot.querySelector('.cw-model-name');
     const tokenCountEl = shadowRoot.querySelector('.cw-token-count');
     if (modelNameEl) {
-      let displayName = state.model;
+      let displayName = state.modelRecognized ? state.model : `${state.model} (unrecognized)`;
       // Show plan only for ChatGPT where it significantly affects context limit
       // Gemini 3 is 1M across all modes for paid users, so no need to show plan
       if (state.plan && platform === 'chatgpt') {
-        displayName = `${state.model} (${state.plan})`;
+        displayName = `${displayName} (${state.plan})`;
       }
       modelNameEl.textContent = displayName;
     }
     if (tokenCountEl) tokenCountEl.textContent = `${formatTokens(total)} / ${formatTokens(limit)}`;
 
     // Update progress bar segments
-    const segments = ['system', 'tools', 'thinking', 'conversation'];
+    const segments = ['system', 'tools', 'thinking', 'attachments', 'conversation'];
     segments.forEach(seg => {
       const el = shadowRoot.querySelector(`.cw-segment-${seg}`);
       if (el) el.style.width = `${Math.min((state.segments[seg] / limit) * 100, 100)}%`;
@@ -248,19 +414,351 @@
     const totalEl = shadowRoot.querySelector('.cw-tooltip-total-value');
     if (totalEl) totalEl.textContent = `${formatTokens(total)} / ${formatTokens(limit)}`;
 
-    // Handle warning/critical states
+    // What the unsent prompt would add, and a warning if it won't fit
+    const forecastEl = shadowRoot.querySelector('.cw-forecast');
+    const forecastSegment = shadowRoot.querySelector('.cw-segment-forecast');
+    const projected = total + state.forecast;
+    const overLimit = state.forecast > 0 && projected > limit;
+    if (forecastEl) {
+      forecastEl.hidden = !state.forecast;
+      forecastEl.textContent = !state.forecast ? ''
+        : overLimit ? `+${formatTokens(state.forecast)} → ${Math.round((projected / limit) * 100)}% - sending exceeds the limit by ${formatTokens(projected - limit)}`
+        : `+${formatTokens(state.forecast)} → ${Math.round((projected / limit) * 100)}% if sent`;
+    }
+    if (forecastSegment) {
+      forecastSegment.style.width = `${Math.max(0, Math.min((state.forecast / limit) * 100, 100 - (total / limit) * 100))}%`;
+    }
+
+    const partialEl = shadowRoot.querySelector('.cw-partial-note');
+    if (partialEl) partialEl.hidden = !state.partial;
+
+    // Only the branch on screen is in the model's context
+    const branchEl = shadowRoot.querySelector('.cw-branch-note');
+    if (branchEl) {
+      branchEl.hidden = !state.branch;
+      branchEl.textContent = state.branch ? `Branch ${state.branch.index} of ${state.branch.count} (only this branch counts)` : '';
+    }
+
+    // What makes up the OS Tax, and the largest tools and attachments
+    renderBreakdown('.cw-system-breakdown', state.systemItems.length > 1 ? state.systemItems.map(item => [item.name, item.tokens]) : []);
+    renderBreakdown('.cw-tool-breakdown', state.toolBreakdown);
+    renderBreakdown('.cw-attachment-breakdown', state.attachmentItems.map(item => [item.name, item.tokens]));
+
+    // Whether earlier turns' thinking still takes up context on this platform
+    const thinkingNoteEl = shadowRoot.querySelector('.cw-thinking-note');
+    if (thinkingNoteEl) {
+      const platformName = registry.getPlatformName(platform);
+      thinkingNoteEl.textContent = registry.getKeepsPriorThinking(platform)
+        ? `${platformName} keeps earlier turns' thinking`
+        : `${platformName} drops earlier turns' thinking - latest turn only`;
+    }
+
+    const noteEl = shadowRoot.querySelector('.cw-tooltip-note');
+    if (noteEl) {
+      noteEl.textContent = state.source === 'network' ? 'Counted offline from conversation data' : 'Counted offline from visible text';
+    }
+
+    // Handle warning/critical states (thresholds are set on the options page)
     const overlay = shadowRoot.getElementById('context-window-overlay');
     if (overlay) {
       overlay.classList.remove('warning', 'critical');
-      if (percentage >= 90) overlay.classList.add('critical');
-      else if (percentage >= 75) overlay.classList.add('warning');
+      const level = registry.getAlertLevel(percentage);
+      if (level) overlay.classList.add(level);
+      overlay.classList.toggle('over-limit', overLimit);
     }
+
+    renderMessagePanel();
+    reportOverlayState();
   }
 
-  // Estimate tokens from text (roughly 4 chars per token for English)
+  const messagePanel = { open: false, sort: 'order' }; // sort: 'order' | 'size'
+
+  // One row per turn on the page with its tokens and share of the total.
+  // Clicking a row scrolls the page to that message.
+  function renderMessagePanel() {
+    const overlay = shadowRoot?.getElementById('context-window-overlay');
+    const panel = shadowRoot?.querySelector('.cw-panel');
+    if (!overlay || !panel) return;
+
+    overlay.classList.toggle('panel-open', messagePanel.open);
+    panel.hidden = !messagePanel.open;
+    if (!messagePanel.open) return;
+
+    shadowRoot.querySelectorAll('.cw-panel-sort button').forEach(button => {
+      button.classList.toggle('active', button.dataset.sort === messagePanel.sort);
+    });
+
+    const messages = getPanelRows();
+    const count = messages.reduce((sum, message) => sum + (message.count || 1), 0);
+    if (messagePanel.sort === 'size') messages.sort((a, b) => b.tokens - a.tokens);
+    shadowRoot.querySelector('.cw-panel-title').textContent = `Messages (${count})`;
+
+    const list = shadowRoot.querySelector('.cw-panel-list');
+    if (messages.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cw-panel-empty';
+      empty.textContent = 'No messages on the page yet';
+      list.replaceChildren(empty);
+      return;
+    }
+
+    list.replaceChildren(...messages.map(({ el, role, preview, tokens, count }) => {
+      const row = document.createElement('div');
+      row.className = count ? 'cw-panel-row offscreen' : 'cw-panel-row';
+      row.title = preview;
+      const roleEl = document.createElement('span');
+      roleEl.className = 'cw-panel-role';
+      roleEl.textContent = count ? '…' : role === 'user' ? 'You' : 'AI';
+      const previewEl = document.createElement('span');
+      previewEl.className = 'cw-panel-preview';
+      previewEl.textContent = preview;
+      const tokensEl = document.createElement('span');
+      tokensEl.className = 'cw-panel-tokens';
+      tokensEl.textContent = formatTokens(tokens);
+      const shareEl = document.createElement('span');
+      shareEl.className = 'cw-panel-share';
+      shareEl.textContent = state.total ? `${((tokens / state.total) * 100).toFixed(1)}%` : '-';
+      row.append(roleEl, previewEl, tokensEl, shareEl);
+      row.addEventListener('click', () => el.scrollIntoView({ behavior: 'smooth', block: count ? 'center' : 'start' }));
+      return row;
+    }));
+  }
+
+  // Panel rows in thread order: the messages on the page, plus one row for each
+  // run of messages the ledger still counts but that has scrolled out of view
+  // (see updateLedger), so the rows add up to the conversation segment.
+  // Clicking an off-screen run scrolls to the nearest message on the page.
+  function getPanelRows() {
+    const messages = getDOMMessages();
+    const ledger = getLedger();
+    const onScreen = new Map(); // ledger entry -> message
+    messages.forEach(message => {
+      const entry = ledgerEntries.get(message.el);
+      if (entry && ledger.byKey.get(entry.key) === entry) onScreen.set(entry, message);
+    });
+    if (onScreen.size === 0) return messages;
+
+    const rows = [];
+    let run = null;
+    let previous = null;
+    ledger.entries.forEach(entry => {
+      const message = onScreen.get(entry);
+      if (message) {
+        if (run && !run.el) run.el = message.el;
+        rows.push(message);
+        previous = message;
+        run = null;
+        return;
+      }
+      if (!run) {
+        run = { el: previous?.el || null, role: null, preview: '', tokens: 0, count: 0, earlier: !previous };
+        rows.push(run);
+      }
+      run.count++;
+      run.tokens += entry.tokens;
+      run.preview = `${run.count} ${run.earlier ? 'earlier' : 'later'} message${run.count === 1 ? '' : 's'}, scrolled out of view`;
+    });
+
+    // Messages that arrived after the ledger last updated
+    const listed = new Set(onScreen.values());
+    return rows.concat(messages.filter(message => !listed.has(message)));
+  }
+
+  // Up to five [name, tokens] rows under a tooltip row. Names come from the
+  // page, so they're set as text. Unknown sizes show as "?".
+  function renderBreakdown(selector, entries) {
+    const container = shadowRoot.querySelector(selector);
+    if (!container) return;
+    container.replaceChildren(...entries.slice(0, 5).map(([name, tokens]) => {
+      const row = document.createElement('div');
+      row.className = 'cw-breakdown-row';
+      const nameEl = document.createElement('span');
+      nameEl.className = 'cw-breakdown-name';
+      nameEl.textContent = name;
+      const valueEl = document.createElement('span');
+      valueEl.textContent = tokens === null ? '?' : formatTokens(tokens);
+      row.append(nameEl, valueEl);
+      return row;
+    }));
+  }
+
+  // Share what the overlay shows with the background (for the toolbar popup)
+  let lastReportedState = '';
+  function reportOverlayState() {
+    const report = {
+      conversationId: getConversationId(),
+      total: state.total,
+      contextLimit: state.contextLimit,
+      model: state.model,
+      modelRecognized: state.modelRecognized,
+      plan: state.plan,
+      segments: state.segments
+    };
+    const key = JSON.stringify(report);
+    if (key === lastReportedState) return;
+    lastReportedState = key;
+
+    try {
+      chrome.runtime.sendMessage({ type: 'OVERLAY_STATE', state: report }).catch(() => {});
+    } catch (e) {
+      // Extension was reloaded - this content script is orphaned
+    }
+  }
+
+  // Token counting - exact counts come from the offline BPE tokenizer in the
+  // background worker (off the main thread). Until a text's count arrives we
+  // show a heuristic, then refresh once the real number is cached.
+  const TOKEN_CACHE_MAX = 2000;
+  const tokenCache = new Map(); // "encoding:hash" -> token count, for texts with no owner (see countOwnedText)
+  const pendingTexts = new Map(); // "encoding:hash" -> text waiting to be tokenized
+  const waitingSlots = new Map(); // "encoding:hash" -> owner slots to fill in when the count arrives
+  let tokenizeInFlight = false;
+
+  // Cheap 32-bit FNV-1a hash used to key cached counts by content
+  function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36) + '.' + text.length;
+  }
+
+  // Fallback estimate: ~4 chars per token for Latin text, ~1 token per CJK character
+  function heuristicTokens(text) {
+    const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+  }
+
+  function getEncoding() {
+    return ContextCounter.tokenizer.encodingFor(platform, state.modelId || state.model);
+  }
+
+  // Count tokens in text (exact if already tokenized, heuristic until then)
   function estimateTokens(text) {
     if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return countByKey(getEncoding() + ':' + hashText(text), text);
+  }
+
+  function countByKey(key, text, heuristic) {
+    if (tokenCache.has(key)) return tokenCache.get(key);
+
+    pendingTexts.set(key, text);
+    requestTokenCounts();
+    return heuristic ?? heuristicTokens(text);
+  }
+
+  // Counting pass cost has to follow what changed, not the length of the chat,
+  // so texts that stay put keep their hash and their exact count: each owner (a
+  // page element, a network message, a project doc) holds both for the text it
+  // last had, for as long as the owner lives - however many texts a long chat
+  // has, none of them is tokenized twice. An owner can hold several texts, one
+  // per field.
+  const ownedCounts = new WeakMap(); // owner -> { [field]: { text, key, heuristic, count? } }
+
+  function countOwnedText(owner, text, field = 'text') {
+    if (!text) return 0;
+    let slots = ownedCounts.get(owner);
+    if (!slots) ownedCounts.set(owner, slots = {});
+    let slot = slots[field];
+    if (!slot || slot.text !== text) slot = slots[field] = { text, key: null, heuristic: heuristicTokens(text) };
+
+    const encoding = getEncoding();
+    if (!slot.key || !slot.key.startsWith(encoding + ':')) {
+      slot.key = encoding + ':' + hashText(text);
+      delete slot.count;
+    }
+    if (slot.count !== undefined) return slot.count;
+    if (tokenCache.has(slot.key)) return (slot.count = tokenCache.get(slot.key));
+
+    let waiting = waitingSlots.get(slot.key);
+    if (!waiting) waitingSlots.set(slot.key, waiting = new Set());
+    waiting.add(slot);
+    return countByKey(slot.key, text, slot.heuristic);
+  }
+
+  // Page text of an element, read once and reused until a mutation inside it
+  // (see invalidateElementTexts). mode 'page' is what getConversationText sees,
+  // 'content' is textContent (includes collapsed text).
+  const elementTexts = new WeakMap(); // element -> { page?, content?, blocks?, samples? }
+
+  function getElementEntry(el) {
+    let entry = elementTexts.get(el);
+    if (!entry) elementTexts.set(el, entry = {});
+    return entry;
+  }
+
+  function getElementText(el, mode = 'page') {
+    const entry = getElementEntry(el);
+    if (entry[mode] === undefined) entry[mode] = (mode === 'content' ? el.textContent : getPageText(el)) || '';
+    return entry[mode];
+  }
+
+  function countElement(el, mode = 'page') {
+    return countOwnedText(el, getElementText(el, mode), mode);
+  }
+
+  // A mutation changes the text of its target and every ancestor - drop those,
+  // stopping where an earlier record in the batch already walked
+  function invalidateElementTexts(records) {
+    const seen = new Set();
+    records.forEach(record => {
+      for (let node = record.target; node && !seen.has(node); node = node.parentNode) {
+        seen.add(node);
+        elementTexts.delete(node);
+      }
+    });
+  }
+
+  // Send queued texts to the background tokenizer, one batch (and one
+  // encoding) at a time - the current encoding first
+  function requestTokenCounts() {
+    if (tokenizeInFlight || pendingTexts.size === 0) return;
+
+    const current = getEncoding();
+    const queued = [...pendingTexts];
+    const encoding = queued.some(([key]) => key.startsWith(current + ':')) ? current : queued[0][0].split(':')[0];
+    const batch = queued.filter(([key]) => key.startsWith(encoding + ':'));
+    batch.forEach(([key]) => pendingTexts.delete(key));
+
+    tokenizeInFlight = true;
+    chrome.runtime.sendMessage({ type: 'COUNT_TOKENS', encoding, texts: batch.map(([, text]) => text) }, (response) => {
+      tokenizeInFlight = false;
+      if (chrome.runtime.lastError || !response?.success) {
+        log('ERROR: Tokenizer unavailable:', chrome.runtime.lastError || response?.error);
+        return;
+      }
+
+      batch.forEach(([key], i) => {
+        const count = response.counts[i];
+        tokenCache.set(key, count);
+        waitingSlots.get(key)?.forEach(slot => {
+          if (slot.key === key) slot.count = count;
+        });
+        waitingSlots.delete(key);
+      });
+      while (tokenCache.size > TOKEN_CACHE_MAX) {
+        tokenCache.delete(tokenCache.keys().next().value);
+      }
+
+      // Replace the heuristic with the exact count
+      scheduleRefresh();
+      requestTokenCounts();
+    });
+  }
+
+  // Run a normal (throttled) pass soon, even if the page has gone quiet. Exact
+  // counts arrive batch after batch while a reply streams, so they don't force
+  // a pass of their own.
+  let refreshTimer = null;
+
+  function scheduleRefresh() {
+    if (refreshTimer) return;
+    const wait = Math.max(0, UPDATE_THROTTLE_MS - (Date.now() - lastUpdateTime));
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      updateFromDOM();
+    }, wait);
   }
 
   // Get conversation text from DOM for token estimation
@@ -275,10 +773,8 @@
         '.whitespace-pre-wrap',
         '.text-base',
         '.min-h-8',
-        // Thinking trace sidebar selectors
-        '[class*="thinking"]',
-        '[class*="thought"]',
-        '[class*="reasoning"]',
+        // Thinking trace sidebar selectors (reasoning text itself is counted
+        // separately - see THINKING_SELECTORS)
         '[class*="sidebar"]',
         '[class*="trace"]',
         '[class*="chain"]'
@@ -374,6 +870,923 @@
     return allText;
   }
 
+  // Get the open conversation's ID from the URL (null on a new, unsaved chat),
+  // or from the path of a link to another conversation
+  function getConversationId(pathname = window.location.pathname) {
+    const patterns = {
+      chatgpt: /\/c\/([\w-]+)/,
+      claude: /\/chat\/([\w-]+)/,
+      gemini: /\/(?:app|gem\/[\w-]+)\/([\w-]+)/
+    };
+    const match = pathname.match(patterns[platform]);
+    return match ? match[1] : null;
+  }
+
+  // Conversation rebuilt from the site's own API payloads. It sees text the DOM
+  // scraper misses, but only counts while it belongs to the open conversation.
+  // branch: { index, count } of the deepest fork on the active path, or null.
+  // tree/leafId: ChatGPT only - the full mapping, so branch switches can be re-resolved.
+  let networkConversation = null; // { id, messages: [{ id, role, segment?, toolName?, text, attachments? }], complete, branch, tree?, leafId? }
+
+  // Merge parsed messages into the network conversation.
+  // isFullHistory: the messages are the whole thread (replace); otherwise they
+  // are streamed fragments that extend the history we have, or start one (marked
+  // incomplete) when the open chat has none yet - e.g. a brand-new Gemini chat,
+  // whose history is never fetched.
+  // details: { complete, branch, tree, leafId } - complete when the history reaches
+  // back to the first message; the rest from parsers that understand the branch tree.
+  function mergeNetworkMessages(conversationId, messages, isFullHistory, details = {}) {
+    if (!conversationId) return;
+
+    if (isFullHistory) {
+      networkConversation = {
+        id: conversationId,
+        messages: messages.slice(),
+        complete: Boolean(details.complete),
+        branch: details.branch || null,
+        tree: details.tree || null,
+        leafId: details.leafId || null
+      };
+    } else if (networkConversation?.id === conversationId) {
+      messages.forEach(message => {
+        const existing = message.id ? networkConversation.messages.findIndex(m => m.id === message.id) : -1;
+        if (existing === -1) networkConversation.messages.push(message);
+        else networkConversation.messages[existing] = message;
+      });
+    } else if (networkConversation?.id !== getConversationId()) {
+      networkConversation = { id: conversationId, messages: messages.slice(), complete: false, branch: null, tree: null, leafId: null };
+    } else {
+      return;
+    }
+
+    updateFromDOM(true);
+  }
+
+  // ChatGPT switches branches client-side without refetching the conversation,
+  // so re-resolve the active path from the last message on screen
+  function syncChatGPTBranch() {
+    const tree = networkConversation?.tree;
+    if (!tree || networkConversation.id !== getConversationId()) return;
+
+    const rendered = document.querySelectorAll('[data-message-id]');
+    for (let i = rendered.length - 1; i >= 0; i--) {
+      const leafId = rendered[i].getAttribute('data-message-id');
+      if (!tree.nodes[leafId]) continue;
+      if (leafId === networkConversation.leafId) return;
+
+      // The screen may end on an ancestor of the leaf (hidden trailing nodes) - same branch
+      const seen = new Set();
+      for (let id = networkConversation.leafId; id && !seen.has(id); id = tree.nodes[id]?.parent) {
+        if (id === leafId) return;
+        seen.add(id);
+      }
+
+      const resolved = ContextCounter.chatgptParser.resolveBranch(tree, leafId);
+      networkConversation.leafId = leafId;
+      networkConversation.messages = resolved.messages;
+      networkConversation.branch = resolved.branch;
+      log(' ChatGPT branch switched to leaf', leafId);
+      return;
+    }
+  }
+
+  // Find the "2 / 3" switcher the sites render beside edited or regenerated messages.
+  // The last one on the page is the deepest fork of the branch being viewed.
+  function detectBranchFromDOM() {
+    let branch = null;
+    const previousButtons = document.querySelectorAll('button[aria-label*="previous" i]');
+    previousButtons.forEach(button => {
+      const match = button.parentElement?.textContent?.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+      if (match && Number(match[2]) > 1) {
+        branch = { index: Number(match[1]), count: Number(match[2]) };
+      }
+    });
+    return branch;
+  }
+
+  // Display names for the tool IDs sites use in their conversation data
+  const TOOL_LABELS = {
+    python: 'Code interpreter',
+    repl: 'Analysis',
+    browser: 'Web search',
+    web: 'Web search',
+    'web.run': 'Web search',
+    web_search: 'Web search',
+    web_fetch: 'Web fetch',
+    file_search: 'File search',
+    myfiles_browser: 'File search',
+    dalle: 'Image generation',
+    't2uay3k.sj1i4kz': 'Image generation',
+    canmore: 'Canvas'
+  };
+
+  function addToolTokens(byName, toolName, tokens) {
+    const name = TOOL_LABELS[toolName] || toolName || 'Tool';
+    byName[name] = (byName[name] || 0) + tokens;
+  }
+
+  // Tokens in the network conversation per segment (all 0 if it's for a different chat).
+  // Messages without a segment are conversation text. Platforms that drop
+  // earlier turns' thinking only count thinking after the last prompt.
+  // toolsByName: tool tokens per tool, for the tooltip breakdown.
+  // attachmentItems: each file/image with its tokens (null if unknown).
+  // Claude and Gemini switch branches (edits, regenerations) without refetching
+  // the conversation, so its data can describe a branch that's no longer on
+  // screen. Rendered messages are walked in order against the network ones:
+  // one that isn't found while network messages remain past it means the
+  // thread forked. Messages match on samples of their letters and digits,
+  // which survive markdown rendering, taken from the text the DOM counter
+  // reads (thinking and tool blocks left out). Samples are cached with the
+  // element's text, and the walk only reruns when a message or the network
+  // conversation changed.
+  const MATCH_SAMPLE_LENGTH = 24;
+  const networkAlnum = new WeakMap(); // network message -> its text's letters and digits
+  let branchCheck = null; // { messages, samples, stale } from the last walk
+
+  function toAlnum(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  function getMatchSamples(text) {
+    const alnum = toAlnum(text);
+    if (alnum.length <= MATCH_SAMPLE_LENGTH) return alnum ? [alnum] : [];
+    return [0.25, 0.5, 0.75].map(position => {
+      const start = Math.floor((alnum.length - MATCH_SAMPLE_LENGTH) * position);
+      return alnum.slice(start, start + MATCH_SAMPLE_LENGTH);
+    });
+  }
+
+  function getMessageSamples(el) {
+    const entry = getElementEntry(el);
+    if (!entry.samples) {
+      let text = getElementText(el);
+      getMessageBlocks(el).forEach(block => {
+        const blockText = getElementText(block);
+        if (blockText) text = text.replace(blockText, ' ');
+      });
+      entry.samples = getMatchSamples(text);
+    }
+    return entry.samples;
+  }
+
+  function isNetworkBranchStale() {
+    if (!networkConversation || networkConversation.tree || networkConversation.id !== getConversationId()) return false;
+
+    const messages = networkConversation.messages.slice();
+    const rendered = findMessageElements().map(({ el, role }) => ({ role, samples: getMessageSamples(el) }));
+    const samples = rendered.map(message => message.samples);
+    const same = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+    if (branchCheck && same(branchCheck.messages, messages) && same(branchCheck.samples, samples)) return branchCheck.stale;
+
+    const getAlnum = message => {
+      if (!networkAlnum.has(message)) networkAlnum.set(message, toAlnum(message.text || ''));
+      return networkAlnum.get(message);
+    };
+    let next = 0;
+    let stale = false;
+    for (const { role, samples: messageSamples } of rendered) {
+      if (messageSamples.length === 0) continue;
+      const found = messages.findIndex((message, i) => i >= next && message.role === role &&
+        messageSamples.some(sample => getAlnum(message).includes(sample)));
+      if (found !== -1) {
+        next = found + 1;
+      } else if (messages.some((message, i) => i >= next && !message.segment)) {
+        stale = true;
+        break;
+      }
+    }
+    branchCheck = { messages, samples, stale };
+    return stale;
+  }
+
+  function getNetworkSegmentTokens() {
+    const totals = { system: 0, tools: 0, thinking: 0, attachments: 0, conversation: 0, toolsByName: {}, attachmentItems: [] };
+    if (!networkConversation || networkConversation.id !== getConversationId()) return totals;
+    if (isNetworkBranchStale()) {
+      log(' Network conversation is on another branch - counting the page');
+      return { ...totals, stale: true };
+    }
+
+    const messages = networkConversation.messages;
+    const keepsPriorThinking = registry.getKeepsPriorThinking(platform);
+    let lastPrompt = -1;
+    messages.forEach((message, i) => {
+      if (message.role === 'user' && !message.segment) lastPrompt = i;
+    });
+
+    messages.forEach((message, i) => {
+      const segment = message.segment || 'conversation';
+      if (segment === 'thinking' && !keepsPriorThinking && i < lastPrompt) return;
+      const tokens = countOwnedText(message, message.text);
+      totals[segment] += tokens;
+      if (segment === 'tools') addToolTokens(totals.toolsByName, message.toolName, tokens);
+
+      (message.attachments || []).forEach(attachment => {
+        const attachmentTokens = ContextCounter.attachments.attachmentTokens(platform, attachment, text => countOwnedText(attachment, text));
+        totals.attachments += attachmentTokens || 0;
+        totals.attachmentItems.push({ name: attachment.name, tokens: attachmentTokens });
+      });
+    });
+    return totals;
+  }
+
+  // Images shown in the user's prompts, for when the conversation data isn't
+  // available. Small images are icons and avatars, not uploads.
+  const ATTACHMENT_IMAGE_SELECTORS = {
+    chatgpt: ['[data-message-author-role="user"] img'],
+    claude: ['[data-testid="user-message"] img', '[data-testid*="file-thumbnail" i] img'],
+    gemini: ['user-query img', 'user-query-file-preview img']
+  };
+  const MIN_ATTACHMENT_IMAGE_SIZE = 48;
+
+  function getDOMAttachments() {
+    const result = { total: 0, items: [] };
+    const seen = new Set();
+    ATTACHMENT_IMAGE_SELECTORS[platform].forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(img => {
+          if (seen.has(img)) return;
+          seen.add(img);
+          if (img.naturalWidth < MIN_ATTACHMENT_IMAGE_SIZE || img.naturalHeight < MIN_ATTACHMENT_IMAGE_SIZE) return;
+          // Thumbnails can be smaller than the upload - the vendor formulas cap large images anyway
+          const tokens = ContextCounter.attachments.imageTokens(platform, img.naturalWidth, img.naturalHeight);
+          result.total += tokens;
+          result.items.push({ name: img.alt || 'Image', tokens });
+        });
+      } catch (e) { /* skip invalid selector */ }
+    });
+    return result;
+  }
+
+  // Outermost elements matching any selector, so nested matches aren't counted twice
+  function findOutermost(selectors, root = document) {
+    const blocks = [];
+    selectors.forEach(selector => {
+      try {
+        root.querySelectorAll(selector).forEach(el => {
+          if (blocks.some(block => block.contains(el))) return;
+          for (let i = blocks.length - 1; i >= 0; i--) {
+            if (el.contains(blocks[i])) blocks.splice(i, 1);
+          }
+          blocks.push(el);
+        });
+      } catch (e) { /* skip invalid selector */ }
+    });
+    return blocks;
+  }
+
+  // The text a block adds to getConversationText (textContent on ChatGPT, innerText elsewhere)
+  function getPageText(el) {
+    return (platform === 'chatgpt' ? el.textContent : el.innerText) || '';
+  }
+
+  // Tool-call cards ("Searched the web", code runs, connector calls) for when
+  // the conversation data isn't available
+  const TOOL_SELECTORS = {
+    chatgpt: ['[data-testid*="tool-call" i]', '[class*="tool-call" i]'],
+    claude: ['[data-testid*="tool-use" i]', '[data-testid*="tool-result" i]', '[class*="tool-use" i]'],
+    gemini: ['tool-call', 'code-execution-result', '[class*="tool-call" i]']
+  };
+
+  // Tool tokens on the page by tool name; `visible` tokens are already part of the page text
+  function getDOMTools() {
+    const result = { total: 0, byName: {}, visible: 0 };
+    findOutermost(TOOL_SELECTORS[platform]).forEach(card => {
+      const tokens = countElement(card, 'content');
+      // Cards are headed by their action, e.g. "Searched the web"
+      const label = card.getAttribute('data-tool-name') ||
+        card.querySelector('button, summary')?.textContent?.trim().split('\n')[0].slice(0, 40);
+      result.total += tokens;
+      addToolTokens(result.byName, label, tokens);
+      result.visible += countElement(card);
+    });
+    return result;
+  }
+
+  // Claude: tools and connectors the open conversation has enabled, and the
+  // Project it belongs to (from chat_conversations and projects responses)
+  let claudeSetup = null; // { conversationId, projectId, enabledItems, mcpTools }
+  let claudeProject = null; // { projectId, instructions, docs: [{ name, text }] }
+
+  // Project open on claude.ai/project/<uuid> (a new chat inside a Project)
+  function getProjectIdFromUrl() {
+    const match = window.location.pathname.match(/^\/project\/([0-9a-f-]{36})/i);
+    return match ? match[1] : null;
+  }
+
+  // ChatGPT: custom instructions, memories and GPTs/Projects (gizmos) from the
+  // settings the page loads. Instructions and memory are account-wide.
+  const chatgptSetup = { customInstructions: null, memory: null, memoryEnabled: null, gizmos: {} };
+  let chatgptConversationGizmo = null; // { conversationId, gizmoId } from the conversation JSON
+
+  // GPT or Project open on chatgpt.com/g/<gizmo id>-<slug>/...
+  function getGizmoId() {
+    const conversationId = getConversationId();
+    if (conversationId && chatgptConversationGizmo?.conversationId === conversationId) {
+      return chatgptConversationGizmo.gizmoId;
+    }
+    const match = window.location.pathname.match(/^\/g\/(g-p-[0-9a-f]+|g-[A-Za-z0-9]+)/);
+    return match ? match[1] : null;
+  }
+
+  // ChatGPT OS Tax items, or null when nothing about the setup is known yet.
+  // System nodes in the conversation mapping hold the same instructions and
+  // memories - take whichever source is larger rather than adding them.
+  function getChatGPTSystemContributors() {
+    const fromMapping = {};
+    if (networkConversation && networkConversation.id === getConversationId()) {
+      networkConversation.messages
+        .filter(message => message.segment === 'system')
+        .forEach(message => {
+          fromMapping[message.systemKind] = (fromMapping[message.systemKind] || 0) + countOwnedText(message, message.text);
+        });
+    }
+
+    const gizmoId = getGizmoId();
+    const gizmo = gizmoId ? chatgptSetup.gizmos[gizmoId] : null;
+    const { customInstructions, memory, memoryEnabled } = chatgptSetup;
+    if (!customInstructions && !memory && !gizmo && Object.keys(fromMapping).length === 0) return null;
+
+    const contributors = [];
+    const base = registry.getSystemItem(platform, 'base');
+    if (base) contributors.push({ name: base.name, tokens: base.tokens });
+
+    const instructionTokens = Math.max(
+      customInstructions?.enabled ? estimateTokens(customInstructions.text) : 0,
+      fromMapping.customInstructions || 0
+    );
+    if (instructionTokens) contributors.push({ name: 'Custom instructions', tokens: instructionTokens });
+
+    const memoryTokens = Math.max(
+      memory && memoryEnabled !== false ? (memory.tokens ?? estimateTokens(memory.text)) : 0,
+      fromMapping.memory || 0
+    );
+    if (memoryTokens) contributors.push({ name: 'Saved memories', tokens: memoryTokens });
+
+    if (fromMapping.system) contributors.push({ name: 'System messages', tokens: fromMapping.system });
+
+    if (gizmo) {
+      const label = gizmo.isProject ? 'Project' : 'GPT';
+      if (gizmo.instructions) {
+        contributors.push({ name: `${label} instructions: ${gizmo.name}`, tokens: estimateTokens(gizmo.instructions) });
+      }
+      gizmo.files.forEach(file => contributors.push({ name: `${label} file: ${file.name}`, tokens: file.tokens }));
+    }
+
+    return contributors;
+  }
+
+  // What makes up the OS Tax: detected items with the per-item estimates from
+  // the registry (editable on the options page), or the flat overhead when the
+  // setup isn't known yet
+  function getSystemContributors() {
+    const fallback = [{ name: 'System prompt & tools (estimate)', tokens: registry.getSystemOverhead(platform) }];
+    if (platform === 'chatgpt') {
+      const contributors = getChatGPTSystemContributors();
+      return contributors ? contributors.sort((a, b) => (b.tokens ?? -1) - (a.tokens ?? -1)) : fallback;
+    }
+    if (platform !== 'claude') return fallback;
+
+    const conversationId = getConversationId();
+    const setup = claudeSetup && claudeSetup.conversationId === conversationId ? claudeSetup : null;
+    const projectId = setup ? setup.projectId : getProjectIdFromUrl();
+    const project = claudeProject && claudeProject.projectId === projectId ? claudeProject : null;
+    if (!setup && !project) return fallback;
+
+    const contributors = [];
+    const addItem = (key, count = 1, name = null) => {
+      const item = registry.getSystemItem(platform, key);
+      if (item) contributors.push({ name: name || item.name, tokens: item.tokens * count });
+    };
+
+    addItem('base');
+    (setup?.enabledItems || []).forEach(key => addItem(key));
+    Object.entries(setup?.mcpTools || {}).forEach(([server, count]) => {
+      addItem('mcpTool', count, `${server} (${count} tool${count === 1 ? '' : 's'})`);
+    });
+    if (project?.instructions) {
+      contributors.push({ name: 'Project instructions', tokens: countOwnedText(project, project.instructions, 'instructions') });
+    }
+    (project?.docs || []).forEach(doc => {
+      contributors.push({ name: doc.name, tokens: countOwnedText(doc, doc.text) });
+    });
+
+    return contributors.sort((a, b) => b.tokens - a.tokens);
+  }
+
+  function getSystemOverhead() {
+    return getSystemContributors().reduce((sum, item) => sum + (item.tokens || 0), 0);
+  }
+
+  // Reasoning from the most recent completion stream - the page's conversation
+  // data may not include the latest turn until it is refetched
+  let streamedThinking = null; // { conversationId, text }
+
+  // Collapsed "Thought for 12s" / "Show thinking" blocks. Their text is often in
+  // the DOM even while collapsed; prompts mark where the latest turn starts.
+  const THINKING_SELECTORS = {
+    chatgpt: ['[class*="thinking"]', '[class*="thought"]', '[class*="reasoning"]'],
+    claude: ['[data-testid*="thinking" i]', '[class*="thinking" i]'],
+    gemini: ['model-thoughts', '[class*="thoughts" i]']
+  };
+
+  // Thinking tokens on the page: `visible` is already part of the page text,
+  // `counted` is what's in context (latest turn only unless the platform keeps it)
+  function getDOMThinking() {
+    const blocks = findOutermost(THINKING_SELECTORS[platform]);
+
+    const prompts = document.querySelectorAll(MESSAGE_SELECTORS[platform].user);
+    const lastPrompt = prompts[prompts.length - 1];
+    const keepsPriorThinking = registry.getKeepsPriorThinking(platform);
+
+    let visible = 0;
+    let counted = 0;
+    blocks.forEach(block => {
+      visible += countElement(block);
+      const isCurrentTurn = !lastPrompt || Boolean(lastPrompt.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING);
+      if (keepsPriorThinking || isCurrentTurn) counted += countElement(block, 'content');
+    });
+    return { visible, counted };
+  }
+
+  // Each turn's container on the page, by role
+  const MESSAGE_SELECTORS = {
+    chatgpt: { user: '[data-message-author-role="user"]', assistant: '[data-message-author-role="assistant"]' },
+    claude: { user: '[data-testid="user-message"]', assistant: '.font-claude-response, .font-claude-message' },
+    gemini: { user: 'user-query', assistant: 'model-response' }
+  };
+
+  // Message containers in reading order: [{ el, role }]. One combined query
+  // keeps document order; matches nested inside another match are skipped.
+  function findMessageElements() {
+    const { user, assistant } = MESSAGE_SELECTORS[platform];
+    const combined = `${user}, ${assistant}`;
+    const messages = [];
+    document.querySelectorAll(combined).forEach(el => {
+      if (el.parentElement?.closest(combined)) return;
+      messages.push({ el, role: el.matches(user) ? 'user' : 'assistant' });
+    });
+    return messages;
+  }
+
+  // Thinking and tool blocks inside a message, found once per element text
+  function getMessageBlocks(el) {
+    const entry = getElementEntry(el);
+    if (!entry.blocks) entry.blocks = findOutermost([...THINKING_SELECTORS[platform], ...TOOL_SELECTORS[platform]], el);
+    return entry.blocks;
+  }
+
+  // A message's own conversation text: its page text minus the thinking and
+  // tool cards inside it, which are counted in their own segments
+  function countMessageContent(el) {
+    const inner = getMessageBlocks(el).reduce((sum, block) => sum + countElement(block), 0);
+    return Math.max(0, countElement(el) - inner);
+  }
+
+  // Turns on the page in reading order: [{ el, role, preview, tokens }]. ChatGPT
+  // tags each turn with its message ID, so the conversation data's text (which
+  // includes what the page collapses) is used when it's longer.
+  function getDOMMessages() {
+    const networkMessages = new Map();
+    if (networkConversation?.id === getConversationId()) {
+      networkConversation.messages.forEach(message => networkMessages.set(message.id, message));
+    }
+
+    return findMessageElements().map(({ el, role }) => {
+      const text = getElementText(el);
+      const networkMessage = networkMessages.get(el.getAttribute('data-message-id'));
+      const networkText = networkMessage?.text || '';
+      const tokens = Math.max(countElement(el), networkMessage ? countOwnedText(networkMessage, networkText) : 0);
+      const preview = (text || networkText).slice(0, 200).replace(/\s+/g, ' ').trim().slice(0, 80);
+      return { el, role, preview, tokens };
+    });
+  }
+
+  // Long threads unmount messages scrolled out of view (ChatGPT) or load older
+  // ones only on scroll (Claude), so the page alone undercounts. The ledger
+  // remembers every message seen in a conversation, in thread order, with its
+  // last count. Messages are keyed by their ID where the page has one, else by
+  // role and content (so a remounted message finds its entry again).
+  //
+  // Each pass the rendered messages replace their span of the ledger. Entries
+  // in that span that are no longer rendered were deleted or edited away; entries
+  // outside it are just scrolled out of view. New messages after the last known
+  // one mean the thread continues differently from there (new branch or
+  // regeneration), so later entries are dropped too.
+  const LEDGER_MAX_CONVERSATIONS = 20;
+  const ledgers = new Map(); // conversationId ('new' before it has one) -> { entries: [{ key, role, tokens }], byKey, startSeen }
+  const ledgerEntries = new WeakMap(); // message element -> its ledger entry
+
+  function getLedger() {
+    const id = getConversationId() || 'new';
+    let ledger = ledgers.get(id);
+    if (!ledger) {
+      ledger = { entries: [], byKey: new Map(), startSeen: false };
+      ledgers.set(id, ledger);
+      if (ledgers.size > LEDGER_MAX_CONVERSATIONS) ledgers.delete(ledgers.keys().next().value);
+    }
+    return ledger;
+  }
+
+  function getMessageKey(el, role) {
+    const id = el.getAttribute('data-message-id');
+    if (id) return id;
+    const entry = getElementEntry(el);
+    if (entry.hash === undefined) entry.hash = hashText(getElementText(el));
+    return `${role}:${entry.hash}`;
+  }
+
+  // Identical messages ("continue") share a content key - number the repeats
+  function uniqueKey(ledger, key) {
+    if (!ledger.byKey.has(key)) return key;
+    let n = 2;
+    while (ledger.byKey.has(`${key}#${n}`)) n++;
+    return `${key}#${n}`;
+  }
+
+  // Fold the rendered messages ([{ el, role }] in reading order) into the ledger
+  function updateLedger(messages) {
+    const ledger = getLedger();
+    if (messages.length === 0) return ledger;
+
+    const claimed = new Set();
+    const rendered = messages.map(({ el, role }) => {
+      const key = getMessageKey(el, role);
+      let entry = ledgerEntries.get(el);
+      if (entry && ledger.byKey.get(entry.key) !== entry) entry = null; // Dropped, or from another conversation
+      if (!entry) {
+        entry = ledger.byKey.get(key);
+        if (entry && claimed.has(entry)) entry = null;
+      }
+
+      const isNew = !entry;
+      if (isNew) {
+        entry = { key: uniqueKey(ledger, key), role, tokens: 0 };
+        ledger.byKey.set(entry.key, entry);
+      } else if (entry.key !== key && !entry.key.startsWith(key + '#')) {
+        // Same element, new text (streaming or an in-place edit)
+        ledger.byKey.delete(entry.key);
+        entry.key = uniqueKey(ledger, key);
+        ledger.byKey.set(entry.key, entry);
+      }
+      entry.tokens = countMessageContent(el);
+      claimed.add(entry);
+      ledgerEntries.set(el, entry);
+      return { entry, isNew };
+    });
+
+    const oldIndex = new Map(ledger.entries.map((entry, i) => [entry, i]));
+    const known = rendered.filter(({ isNew }) => !isNew).map(({ entry }) => oldIndex.get(entry));
+    let entries = rendered.map(({ entry }) => entry);
+    if (known.length > 0) {
+      const first = Math.min(...known);
+      const last = Math.max(...known);
+      const lastKnown = rendered.map(({ isNew }) => isNew).lastIndexOf(false);
+      const unrendered = entry => !claimed.has(entry);
+      const before = ledger.entries.slice(0, first).filter(unrendered);
+      const after = lastKnown < rendered.length - 1 ? [] : ledger.entries.slice(last + 1).filter(unrendered);
+      entries = [...before, ...entries, ...after];
+
+      // Messages appeared above the earliest one we knew of - older history loading in
+      if (rendered[0].isNew && before.length === 0) ledger.startSeen = false;
+    }
+    ledger.entries = entries;
+    ledger.byKey = new Map(entries.map(entry => [entry.key, entry]));
+
+    // The thread starts with a prompt; seeing it with nothing above to scroll to
+    // means the start is loaded
+    if (!ledger.startSeen && entries[0] === rendered[0].entry && rendered[0].entry.role === 'user') {
+      ledger.startSeen = isScrolledToTop(messages[0].el);
+    }
+    return ledger;
+  }
+
+  function isScrolledToTop(el) {
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (node.scrollHeight <= node.clientHeight) continue;
+      const overflow = getComputedStyle(node).overflowY;
+      if (overflow === 'auto' || overflow === 'scroll') return node.scrollTop <= 0;
+    }
+    return (document.scrollingElement?.scrollTop || 0) <= 0;
+  }
+
+  // Conversation tokens for the ledger, merged with the network history. When
+  // messages share IDs (ChatGPT) each takes the larger count and messages only
+  // one side has are added; otherwise the larger total wins.
+  function getLedgerTokens(ledger) {
+    const ledgerTotal = ledger.entries.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (!networkConversation || networkConversation.id !== getConversationId()) return ledgerTotal;
+
+    const networkTokens = new Map();
+    networkConversation.messages.forEach(message => {
+      if (!message.segment && message.id) networkTokens.set(message.id, countOwnedText(message, message.text));
+    });
+    if (!ledger.entries.some(entry => networkTokens.has(entry.key))) return ledgerTotal;
+
+    let total = 0;
+    ledger.entries.forEach(entry => {
+      total += Math.max(entry.tokens, networkTokens.get(entry.key) || 0);
+      networkTokens.delete(entry.key);
+    });
+    networkTokens.forEach(tokens => { total += tokens; });
+    return total;
+  }
+
+  // Token badges under each message, each in its own shadow root so site CSS
+  // can't restyle them. Sites re-render messages freely, so every pass re-attaches
+  // any badge that was dropped. Shadow content isn't part of the page text.
+  const BADGE_HOST_CLASS = 'context-counter-message-badge';
+  const messageBadges = new WeakMap(); // message element -> { host, label }
+
+  function createMessageBadge(role) {
+    const host = document.createElement('div');
+    host.className = BADGE_HOST_CLASS;
+    const root = host.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { all: initial; display: flex !important; justify-content: ${role === 'user' ? 'flex-end' : 'flex-start'}; margin-top: 4px; }
+      span {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 10px;
+        line-height: 16px;
+        color: #6B7280;
+        border: 1px solid rgba(107, 114, 128, 0.35);
+        border-radius: 8px;
+        padding: 0 6px;
+        user-select: none;
+      }
+    `;
+    const label = document.createElement('span');
+    root.append(style, label);
+    return { host, label };
+  }
+
+  function renderMessageBadges() {
+    if (!registry.getMessageBadgesEnabled()) {
+      document.querySelectorAll('.' + BADGE_HOST_CLASS).forEach(host => host.remove());
+      return;
+    }
+
+    getDOMMessages().forEach(({ el, role, tokens }) => {
+      let badge = messageBadges.get(el);
+      if (!badge) {
+        badge = createMessageBadge(role);
+        messageBadges.set(el, badge);
+      }
+      if (badge.host.parentNode !== el) el.appendChild(badge.host);
+
+      const text = `${formatTokens(tokens)} tokens`;
+      if (badge.label.textContent !== text) badge.label.textContent = text;
+      badge.label.title = state.total ? `${((tokens / state.total) * 100).toFixed(1)}% of the conversation's context` : '';
+    });
+  }
+
+  // Usage pills next to past conversations in the site's sidebar, from the peak
+  // the background worker saved for each, so nearly full threads stand out
+  // before they're reopened. Same shadow-root isolation and re-attachment as
+  // the message badges.
+  const SIDEBAR_LINK_SELECTORS = {
+    chatgpt: ['nav a[href*="/c/"]'],
+    claude: ['nav a[href*="/chat/"]'],
+    gemini: ['conversations-list a[href*="/app/"]', 'side-navigation a[href*="/app/"]', 'a[data-test-id="conversation"]']
+  };
+  const SIDEBAR_HOST_CLASS = 'context-counter-sidebar-usage';
+  const SIDEBAR_REFRESH_MS = 30000;
+  const sidebarPills = new WeakMap(); // link -> { host, label }
+  let sidebarUsage = {}; // conversationId -> { total, limit, percentage }
+  let sidebarUsageTime = 0;
+
+  function refreshSidebarUsage() {
+    sidebarUsageTime = Date.now();
+    chrome.runtime.sendMessage({ type: 'GET_PEAK_USAGE' }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+      sidebarUsage = response.usage || {};
+      renderSidebarUsage();
+    });
+  }
+
+  function createSidebarPill() {
+    const host = document.createElement('span');
+    host.className = SIDEBAR_HOST_CLASS;
+    const root = host.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { all: initial; display: inline-flex !important; align-items: center; flex-shrink: 0; margin-left: 6px; }
+      span {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 10px;
+        line-height: 16px;
+        font-variant-numeric: tabular-nums;
+        color: #6B7280;
+        border: 1px solid rgba(107, 114, 128, 0.35);
+        border-radius: 8px;
+        padding: 0 6px;
+        user-select: none;
+      }
+      span::before { content: ''; width: 6px; height: 6px; border-radius: 50%; background: #10B981; }
+      span.warning { color: #F59E0B; border-color: rgba(245, 158, 11, 0.5); }
+      span.warning::before { background: #F59E0B; }
+      span.critical { color: #EF4444; border-color: rgba(239, 68, 68, 0.5); font-weight: 600; }
+      span.critical::before { background: #EF4444; }
+    `;
+    const label = document.createElement('span');
+    root.append(style, label);
+    return { host, label };
+  }
+
+  function renderSidebarUsage() {
+    // Peaks come from the usage history, so nothing shows while it isn't recorded
+    if (!registry.getSidebarUsageEnabled() || !registry.getHistorySettings().enabled) {
+      document.querySelectorAll('.' + SIDEBAR_HOST_CLASS).forEach(host => host.remove());
+      return;
+    }
+    if (Date.now() - sidebarUsageTime > SIDEBAR_REFRESH_MS) refreshSidebarUsage();
+
+    // The open conversation shows what's counted now, which may be past its saved peak
+    const openId = getConversationId();
+    document.querySelectorAll(SIDEBAR_LINK_SELECTORS[platform].join(', ')).forEach(link => {
+      const id = getConversationId(link.pathname);
+      let usage = id && sidebarUsage[id];
+      if (id && id === openId && state.total && (!usage || state.total > usage.total)) {
+        usage = { total: state.total, limit: state.contextLimit, percentage: (state.total / state.contextLimit) * 100, current: true };
+      }
+
+      let pill = sidebarPills.get(link);
+      if (!usage) {
+        pill?.host.remove();
+        return;
+      }
+      if (!pill) {
+        pill = createSidebarPill();
+        sidebarPills.set(link, pill);
+      }
+      if (pill.host.parentNode !== link) link.appendChild(pill.host);
+
+      const percentage = Math.round(usage.percentage);
+      const text = `${percentage}%`;
+      if (pill.label.textContent !== text) pill.label.textContent = text;
+      pill.label.className = registry.getAlertLevel(usage.percentage) || '';
+      pill.label.title = `${usage.current ? 'Current' : 'Peak'} usage: ${formatTokens(usage.total)} of ${formatTokens(usage.limit)} tokens (${percentage}%)`;
+    });
+  }
+
+  // The prompt box (ProseMirror/contenteditable on all three sites, with
+  // textarea fallbacks for older layouts)
+  const COMPOSER_SELECTORS = {
+    chatgpt: ['#prompt-textarea', 'form textarea'],
+    claude: ['div.ProseMirror[contenteditable="true"]', 'fieldset [contenteditable="true"]', 'fieldset textarea'],
+    gemini: ['rich-textarea .ql-editor', 'rich-textarea [contenteditable="true"]', 'rich-textarea textarea']
+  };
+
+  function findComposer() {
+    for (const selector of COMPOSER_SELECTORS[platform]) {
+      const el = document.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  function getComposerText(composer = findComposer()) {
+    if (!composer) return '';
+    return (composer.tagName === 'TEXTAREA' ? composer.value : composer.innerText || '').trim();
+  }
+
+  // Refresh the forecast as the user types or pastes; input fires in bursts,
+  // so count at most once per frame
+  let forecastFrame = 0;
+  function onComposerInput(event) {
+    if (!(event.target instanceof Element)) return;
+    if (!COMPOSER_SELECTORS[platform].some(selector => event.target.closest(selector))) return;
+    if (forecastFrame) return;
+    forecastFrame = requestAnimationFrame(() => {
+      forecastFrame = 0;
+      updateForecast();
+    });
+  }
+
+  function updateForecast() {
+    const forecast = estimateTokens(getComposerText());
+    if (forecast === state.forecast) return;
+    state.forecast = forecast;
+    updateOverlay();
+  }
+
+  // Large-paste guard: a paste that would use more than the configured share
+  // of the context left is held back and confirmed in a dialog first
+  const MIN_GUARDED_PASTE_TOKENS = 500; // Never ask about small pastes
+  let pendingPaste = null; // { text, tokens, composer, selection }
+  let pasteBypass = false; // Our own re-dispatched paste
+
+  function onComposerPaste(event) {
+    if (pasteBypass || !(event.target instanceof Element)) return;
+    const guard = registry.getPasteGuard();
+    if (!guard.enabled) return;
+
+    const selector = COMPOSER_SELECTORS[platform].find(selector => event.target.closest(selector));
+    if (!selector) return;
+    const text = event.clipboardData?.getData('text/plain');
+    if (!text) return;
+
+    const tokens = estimateTokens(text);
+    const remaining = Math.max(0, state.contextLimit - state.total - state.forecast);
+    if (tokens < MIN_GUARDED_PASTE_TOKENS || tokens <= remaining * guard.share / 100) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    const composer = event.target.closest(selector);
+    showPasteDialog({ text, tokens, remaining, composer, selection: saveSelection(composer) });
+  }
+
+  function showPasteDialog({ text, tokens, remaining, composer, selection }) {
+    const dialog = shadowRoot?.querySelector('.cw-paste-dialog');
+    if (!dialog) return;
+    pendingPaste = { text, tokens, composer, selection };
+
+    const share = remaining > 0 ? `${Math.round((tokens / remaining) * 100)}% of the ${formatTokens(remaining)} left in this conversation` : 'more than is left in this conversation';
+    dialog.querySelector('.cw-paste-message').textContent = `This paste is about ${formatTokens(tokens)} tokens - ${share}.`;
+    const budgetInput = dialog.querySelector('.cw-paste-budget-value');
+    budgetInput.value = Math.max(100, Math.floor(remaining * registry.getPasteGuard().share / 100 / 100) * 100);
+    budgetInput.max = tokens;
+
+    dialog.hidden = false;
+    dialog.querySelector('[data-action="cancel"]').focus();
+  }
+
+  function resolvePaste(action) {
+    const dialog = shadowRoot?.querySelector('.cw-paste-dialog');
+    if (!dialog || !pendingPaste) return;
+    const { text, tokens, composer, selection } = pendingPaste;
+    const budget = Number(dialog.querySelector('.cw-paste-budget-value').value);
+    if ((action === 'head' || action === 'tail') && !(budget > 0)) return;
+
+    pendingPaste = null;
+    dialog.hidden = true;
+    if (action === 'cancel') {
+      composer.focus();
+      return;
+    }
+    const kept = action === 'paste' ? text : trimToBudget(text, tokens, budget, action);
+    insertIntoComposer(composer, selection, kept);
+  }
+
+  // Cut text to about `budget` tokens from its start or end, at a line break when one is close
+  function trimToBudget(text, tokens, budget, keep) {
+    if (budget >= tokens) return text;
+    const chars = Math.floor(text.length * budget / tokens);
+    if (keep === 'head') {
+      const head = text.slice(0, chars);
+      const cut = head.lastIndexOf('\n');
+      return cut > chars * 0.8 ? head.slice(0, cut) : head;
+    }
+    const tail = text.slice(text.length - chars);
+    const cut = tail.indexOf('\n');
+    return cut >= 0 && cut < chars * 0.2 ? tail.slice(cut + 1) : tail;
+  }
+
+  // Where the paste was going, so it still lands there after the dialog takes focus
+  function saveSelection(composer) {
+    if (composer.tagName === 'TEXTAREA') return { start: composer.selectionStart, end: composer.selectionEnd };
+    const selection = window.getSelection();
+    return { range: selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null };
+  }
+
+  // Textareas take the text directly. Rich editors (ProseMirror, Quill) get a
+  // synthetic paste they handle themselves, or insertText if they ignore it.
+  function insertIntoComposer(composer, selection, text) {
+    composer.focus();
+    if (composer.tagName === 'TEXTAREA') {
+      composer.setRangeText(text, selection.start, selection.end, 'end');
+      composer.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
+    if (selection.range) {
+      const current = window.getSelection();
+      current.removeAllRanges();
+      current.addRange(selection.range);
+    }
+    const data = new DataTransfer();
+    data.setData('text/plain', text);
+    pasteBypass = true;
+    const handled = !composer.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+    pasteBypass = false;
+    if (!handled) document.execCommand('insertText', false, text);
+  }
+
+  // Whole-page text for the plan and model fallbacks. innerText lays out the
+  // entire page, so it's read once per navigation rather than on every mutation.
+  let wholePageText = null; // { url, text }
+
+  function getWholePageText() {
+    if (wholePageText?.url !== window.location.href) {
+      wholePageText = { url: window.location.href, text: document.body?.innerText || '' };
+    }
+    return wholePageText.text;
+  }
+
   // Detect ChatGPT plan level from UI
   // Returns: 'free', 'plus', 'pro', 'team', 'enterprise', or null if unknown
   function detectChatGPTPlan() {
@@ -398,10 +1811,7 @@
       }
     }
 
-    // Strategy 2: Look for plan badges/indicators
-    const pageText = document.body?.innerText?.toLowerCase() || '';
-
-    // Check for specific plan indicators in common locations
+    // Strategy 2: Look for plan badges/indicators in common locations
     const planIndicators = [
       { plan: 'pro', patterns: ['chatgpt pro', 'pro plan', 'pro subscriber'] },
       { plan: 'plus', patterns: ['chatgpt plus', 'plus plan', 'plus subscriber'] },
@@ -434,7 +1844,7 @@
 
     // Strategy 4: No upgrade button found, assume paid (Plus as default paid tier)
     // This is a heuristic - paid users don't see upgrade prompts
-    const hasNoUpgradeButton = !document.body?.innerText?.toLowerCase().includes('upgrade to');
+    const hasNoUpgradeButton = !getWholePageText().toLowerCase().includes('upgrade to');
     if (hasNoUpgradeButton) {
       // Check for any plan-specific UI elements before defaulting
       const navItems = document.querySelectorAll('nav a, [role="navigation"] a');
@@ -458,7 +1868,7 @@
 
     // Strategy 1: Check for premium model indicators first (more reliable)
     // If user can access Deep Think or 2.0 Flash, they're on a paid plan
-    const pageText = document.body?.innerText?.toLowerCase() || '';
+    const pageText = getWholePageText().toLowerCase();
 
     // Check for Ultra tier indicators
     if (pageText.includes('ai ultra') || pageText.includes('gemini ultra subscription')) {
@@ -506,42 +1916,13 @@
     return 'pro';
   }
 
-  // Get context limit based on platform and plan
-  // Based on January 2026 research - limits vary significantly by plan
-  function getContextLimitForPlan(detectedPlan) {
-    if (platform === 'chatgpt') {
-      // GPT-5.2 context limits by plan (January 2026)
-      // Note: Actual limit depends on model variant (Instant/Thinking/Pro/Codex)
-      // Using GPT-5.2 Instant as default since it's most common
-      switch (detectedPlan) {
-        case 'free': return 16000;       // GPT-5.2 Instant free tier
-        case 'plus': return 32000;       // GPT-5.2 Instant Plus (up to 196K with Thinking, 400K with Codex)
-        case 'pro': return 128000;       // GPT-5.2 Instant Pro (up to 2M with GPT-5.2 Pro model!)
-        case 'team': return 128000;      // Team tier
-        case 'enterprise': return 128000; // Enterprise (up to 2M with Pro model)
-        default: return 16000;           // Conservative default (free tier)
-      }
-    } else if (platform === 'claude') {
-      // Claude 4.5 context limits (January 2026)
-      // Standard 200K, Enterprise Sonnet gets 500K
-      switch (detectedPlan) {
-        case 'free': return 200000;      // May be reduced during high demand
-        case 'pro': return 200000;
-        case 'team': return 200000;
-        case 'enterprise': return 500000; // Enterprise Sonnet gets 500K
-        default: return 200000;
-      }
-    } else if (platform === 'gemini') {
-      // Gemini 3 context limits (January 2026)
-      // Free: 32K, Paid: 1M (industry-leading for paid tiers)
-      switch (detectedPlan) {
-        case 'free': return 32000;       // Limited to 32K
-        case 'pro': return 1000000;      // 1M tokens at $20/mo - best value!
-        case 'ultra': return 1000000;    // 1M tokens
-        default: return 32000;           // Conservative default (free tier)
-      }
-    }
-    return 128000; // Fallback
+  // Resolve the model (API ID first, then UI label) and recalculate the context limit
+  // Unknown models keep their raw name and use the plan limit
+  function recalculateContextLimit() {
+    const model = registry.resolveModel(platform, { id: state.modelId, label: state.modelLabel, plan: state.plan });
+    state.model = model ? model.name : (state.modelLabel || state.modelId || registry.getPlatformName(platform));
+    state.modelRecognized = Boolean(model) || (!state.modelId && !state.modelLabel);
+    state.contextLimit = registry.getContextLimit(platform, state.plan, model);
   }
 
   // Detect model from page UI
@@ -585,7 +1966,7 @@
 
       // Fallback: scan page text for model pattern
       if (!modelText) {
-        const pageText = document.body?.innerText || '';
+        const pageText = getWholePageText();
         // Look for "ChatGPT X.X Model" pattern at start of text (usually in header)
         const modelMatch = pageText.match(/ChatGPT\s+[\d.]+\s+(Instant|Pro|Thinking|Codex|Mini)/i);
         if (modelMatch) {
@@ -623,24 +2004,51 @@
     return modelText.trim();
   }
 
+  // Conversation tokens on the page: the sum of each message's cached count, so
+  // only messages a mutation touched are read again, plus messages seen earlier
+  // that are no longer rendered (see updateLedger). Falls back to scanning the
+  // whole page when the site's message markup isn't recognized.
+  function getDOMConversationTokens(domThinking, domTools) {
+    const messages = findMessageElements();
+    if (messages.some(message => message.role === 'assistant')) {
+      return getLedgerTokens(updateLedger(messages));
+    }
+
+    const text = getConversationText();
+
+    // An unsent prompt is part of the page text on some layouts - it's the forecast, not the conversation
+    const composerText = getComposerText();
+    const composerLine = composerText.split('\n')[0].trim().slice(0, 80);
+    const draftTokens = composerLine && text.includes(composerLine) ? estimateTokens(composerText) : 0;
+
+    return Math.max(0, estimateTokens(text) - domThinking.visible - domTools.visible - draftTokens);
+  }
+
   // Update token count from DOM observation (throttled)
-  function updateFromDOM() {
+  // force: skip the throttle (used when exact token counts arrive). A drop still
+  // has to be read twice.
+  function updateFromDOM(force = false) {
+    // Pick up mutations not yet delivered to the observer, so no cached text is stale
+    if (domObserver) invalidateElementTexts(domObserver.takeRecords());
+
     // Throttle updates to prevent performance issues
     const now = Date.now();
-    if (now - lastUpdateTime < UPDATE_THROTTLE_MS) {
+    if (!force && now - lastUpdateTime < UPDATE_THROTTLE_MS) {
       return; // Skip this update, too soon
     }
     lastUpdateTime = now;
 
-    const text = getConversationText();
     // System "OS Tax" - tools, MCPs, system prompts, connectors
-    // Based on January 2026 research:
-    // - ChatGPT: 2K-5K typical (system prompt + custom instructions + few tools)
-    // - Claude: 60K typical (system prompt + MCP servers - single GitHub MCP = ~55K!)
-    // - Gemini: 5K typical (system prompt + extensions)
-    // Note: Claude overhead can be 100K+ with heavy MCP use
-    const systemOverheads = { chatgpt: 5000, claude: 60000, gemini: 5000 };
-    const systemOverhead = systemOverheads[platform] || 5000;
+    const systemContributors = getSystemContributors();
+    const systemOverhead = systemContributors.reduce((sum, item) => sum + (item.tokens || 0), 0);
+
+    // A plan chosen on the options page wins over detection
+    const planOverride = registry.getPlanOverride(platform);
+    if (planOverride && planOverride !== state.plan) {
+      state.plan = planOverride;
+      recalculateContextLimit();
+      updateOverlay();
+    }
 
     // Detect plan level first (affects context limit significantly)
     if (!state.plan) {
@@ -656,67 +2064,100 @@
 
       if (detectedPlan) {
         state.plan = detectedPlan;
-        state.contextLimit = getContextLimitForPlan(detectedPlan);
+        recalculateContextLimit();
         console.log(`[Context Window] ${platform} plan: ${detectedPlan}, context limit: ${state.contextLimit}`);
         updateOverlay();
       }
     }
 
     // Always check for model changes (user may switch models during conversation)
+    // On ChatGPT the model variant changes the limit; Claude and Gemini depend on plan
     const detectedModel = detectModelFromUI();
-    if (detectedModel && detectedModel !== state.model) {
-      log(' Model changed:', state.model, '->', detectedModel);
-      state.model = detectedModel;
+    if (detectedModel && detectedModel !== state.modelLabel) {
+      log(' Model changed:', state.modelLabel, '->', detectedModel);
+      state.modelLabel = detectedModel;
+      recalculateContextLimit();
+      log(' Context limit:', state.contextLimit);
+      updateOverlay();
+    }
 
-      // Recalculate context limit based on new model
-      if (platform === 'claude') {
-        state.contextLimit = 200000; // Claude is always 200K (500K for Enterprise Sonnet)
-      } else if (platform === 'gemini') {
-        // Gemini limits depend on plan, not model (32K free, 1M paid)
-        // Plan detection handles this - don't override here
-      }
-      // For ChatGPT: model can significantly change limits, especially for Pro tier
-      else if (platform === 'chatgpt') {
-        const modelLower = detectedModel.toLowerCase();
-        // GPT-5.2 Pro model on Pro tier = 2M context!
-        if (state.plan === 'pro' && (modelLower.includes('pro') || modelLower.includes('5.2 pro'))) {
-          state.contextLimit = 2000000; // 2M for GPT-5.2 Pro
-          log(' Detected GPT-5.2 Pro on Pro tier: 2M context');
-        }
-        // Thinking model = 196K
-        else if (modelLower.includes('thinking') || modelLower.includes('thought')) {
-          state.contextLimit = 196000;
-          log(' Detected Thinking model: 196K context');
-        }
-        // Codex = 400K
-        else if (modelLower.includes('codex')) {
-          state.contextLimit = 400000;
-          log(' Detected Codex model: 400K context');
-        }
-        // Default: use plan-based limit for Instant or other models
-        else {
-          state.contextLimit = getContextLimitForPlan(state.plan);
-          log(' Model changed to', detectedModel, ', context limit:', state.contextLimit);
-        }
-      }
+    // Network history can lag the page (e.g. Gemini streams only the reply, not
+    // the prompt), so never report less than the visible text
+    syncChatGPTBranch();
+    const network = getNetworkSegmentTokens();
+
+    // Thinking: whichever source saw the most of the turns still in context.
+    // Expanded thinking is part of the page text - move it out of the conversation.
+    const domThinking = getDOMThinking();
+    const streamed = streamedThinking?.conversationId === getConversationId() ? streamedThinking.text : '';
+    const thinkingTokens = Math.max(network.thinking, streamed ? countOwnedText(streamedThinking, streamed) : 0, domThinking.counted);
+
+    // Tools: conversation data when it has them, otherwise tool cards on the page
+    const domTools = getDOMTools();
+    const tools = domTools.total > network.tools ? domTools : { total: network.tools, byName: network.toolsByName };
+
+    // Attachments: files and images from the conversation data, or images in prompts
+    const domAttachments = getDOMAttachments();
+    const attachments = domAttachments.total > network.attachments
+      ? domAttachments
+      : { total: network.attachments, items: network.attachmentItems };
+
+    const domTokens = getDOMConversationTokens(domThinking, domTools);
+    const conversationTokens = Math.max(domTokens, network.conversation);
+    state.source = network.conversation >= domTokens && network.conversation > 0 ? 'network' : 'dom';
+
+    // Counting from the page only, and the top of the thread hasn't loaded yet
+    const networkComplete = networkConversation?.id === getConversationId() && networkConversation.complete && !network.stale;
+    const ledger = getLedger();
+    const partial = ledger.entries.length > 0 && !ledger.startSeen && !networkComplete && state.source === 'dom';
+    if (partial !== state.partial) {
+      state.partial = partial;
+      updateOverlay();
+    }
 
+    // Which branch of an edited/regenerated thread is on screen
+    const networkBranch = networkConversation?.id === getConversationId() && !network.stale ? networkConversation.branch : null;
+    const branch = detectBranchFromDOM() || networkBranch || null;
+    if (JSON.stringify(branch) !== JSON.stringify(state.branch)) {
+      state.branch = branch;
       updateOverlay();
     }
 
-    const estimatedTokens = estimateTokens(text);
+    // Per-message badges and sidebar pills have to be re-attached even when the total hasn't moved
+    renderMessageBadges();
+    renderSidebarUsage();
+    updateForecast();
+
+    const contentTokens = conversationTokens + tools.total + thinkingTokens + attachments.total;
 
     // Only show OS Tax if there's actual conversation content (tokens > 100)
     // This prevents showing 65K used on an empty chat
-    if (estimatedTokens > 100) {
-      const newTotal = estimatedTokens + systemOverhead;
+    if (contentTokens > 100) {
+      // ChatGPT's system nodes are already part of the OS Tax breakdown
+      const systemTokens = systemOverhead;
+      const newTotal = systemTokens + contentTokens;
+
+      // Totals can drop (edits, regenerations, deletions, switching branches), but a
+      // drop has to show up on two reads in a row so a half-rendered page doesn't flicker
+      const isDrop = newTotal < state.total;
+      if (isDrop && !dropPending) {
+        dropPending = true;
+        return;
+      }
+      dropPending = false;
 
-      // Only update if this is a meaningful change
-      if (newTotal > state.total || state.total === 0) {
+      if (newTotal !== state.total || force) {
         state.total = newTotal;
-        state.segments.system = systemOverhead;
-        state.segments.conversation = estimatedTokens;
+        state.segments.system = systemTokens;
+        state.systemItems = systemContributors;
+        state.segments.tools = tools.total;
+        state.segments.thinking = thinkingTokens;
+        state.segments.attachments = attachments.total;
+        state.segments.conversation = conversationTokens;
+        state.toolBreakdown = Object.entries(tools.byName).sort((a, b) => b[1] - a[1]);
+        state.attachmentItems = attachments.items.slice().sort((a, b) => (b.tokens ?? -1) - (a.tokens ?? -1));
         updateOverlay();
-        log(' DOM estimate:', estimatedTokens, 'tokens + OS Tax:', systemOverhead);
+        log(' Estimate:', conversationTokens, 'conversation +', tools.total, 'tools +', thinkingTokens, 'thinking +', attachments.total, 'attachments + OS Tax:', systemTokens);
       }
     } else if (state.total === 0) {
       // No conversation yet - show 0
@@ -730,9 +2171,38 @@
   function parseResponseForTokens(text, url) {
     if (!text || typeof text !== 'string') return null;
 
+    // Gemini uses length-prefixed batchexecute framing, not SSE
+    if (platform === 'gemini') return parseGeminiResponse(text);
+
+    // ChatGPT custom instructions, memories and GPT/Project settings - part of the OS Tax
+    if (platform === 'chatgpt') {
+      const setup = ContextCounter.chatgptParser.parseSetup(text, url);
+      if (setup) {
+        applyChatGPTSetup(setup);
+        return null;
+      }
+    }
+
+    // ChatGPT's conversation JSON - the mapping tree includes nodes the DOM never shows
+    if (platform === 'chatgpt' && text.trimStart().startsWith('{') && text.includes('"mapping"')) {
+      return parseChatGPTConversation(text);
+    }
+
+    // Claude Project instructions and knowledge files - part of the OS Tax
+    if (platform === 'claude' && url.includes('/projects/')) {
+      parseClaudeProject(text, url);
+      return null;
+    }
+
+    // Claude's full conversation JSON - exact accounting of every message and attachment
+    if (platform === 'claude' && url.includes('/chat_conversations/') && text.trimStart().startsWith('{')) {
+      return parseClaudeConversation(text, url);
+    }
+
     let modelId = null;
     let usage = null;
     let hasThinking = false;
+    let thinkingText = '';
 
     try {
       const lines = text.split('\n');
@@ -748,9 +2218,13 @@
           // Extract model ID
           if (data.model && !modelId) modelId = data.model;
 
-          // Check for thinking/reasoning content
-          if (data.delta?.thinking || data.delta?.reasoning_content) hasThinking = true;
-          if (data.choices?.[0]?.delta?.reasoning_content) hasThinking = true;
+          // Thinking/reasoning deltas (Claude thinking_delta, OpenAI-style reasoning_content)
+          if (data.content_block?.type === 'thinking') hasThinking = true;
+          const thinkingDelta = data.delta?.thinking || data.delta?.reasoning_content || data.choices?.[0]?.delta?.reasoning_content;
+          if (typeof thinkingDelta === 'string') {
+            hasThinking = true;
+            thinkingText += thinkingDelta;
+          }
 
           // Extract usage data based on platform
           if (platform === 'chatgpt' && data.usage) {
@@ -773,82 +2247,154 @@
       return null;
     }
 
+    // A new completion replaces the last turn's thinking
+    if (modelId || hasThinking) {
+      streamedThinking = thinkingText ? { conversationId: getConversationId(), text: thinkingText } : null;
+      updateFromDOM(true);
+    }
+
     return (modelId || usage) ? { modelId, usage, hasThinking } : null;
   }
 
-  // Check if URL is relevant for token capture
-  function isRelevantUrl(url) {
-    if (platform === 'chatgpt') return url.includes('/conversation') || url.includes('/completions') || url.includes('/backend-api');
-    if (platform === 'claude') return url.includes('/api/') || url.includes('chat_conversation') || url.includes('/messages');
-    if (platform === 'gemini') return url.includes('batchexecute') || url.includes('/generate') || url.includes('streamGenerate');
-    return false;
+  // Parse a Gemini batchexecute/StreamGenerate body, feeding its turns into the network conversation
+  function parseGeminiResponse(text) {
+    const result = ContextCounter.geminiParser.parse(text);
+    if (!result) return null;
+
+    if (result.turns.length > 0) {
+      // Thoughts become their own entry ahead of the reply
+      const messages = result.turns.flatMap(turn => [
+        ...(turn.thinking ? [{ id: turn.id && turn.id + ':thinking', role: turn.role, segment: 'thinking', text: turn.thinking }] : []),
+        { id: turn.id, role: turn.role, text: turn.text }
+      ]);
+      mergeNetworkMessages(result.conversationId, messages, result.isHistory);
+    }
+
+    const { modelId, usage, hasThinking } = result;
+    return (modelId || usage) ? { modelId, usage, hasThinking } : null;
   }
 
-  // Fetch interception - override window.fetch to capture API responses
-  const originalFetch = window.fetch;
-  window.fetch = async function(...args) {
-    const response = await originalFetch.apply(this, args);
-    const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || '';
+  // Parse ChatGPT's conversation mapping into the network conversation
+  function parseChatGPTConversation(text) {
+    const result = ContextCounter.chatgptParser.parse(text);
+    if (!result) return null;
+
+    chatgptConversationGizmo = { conversationId: result.conversationId, gizmoId: result.gizmoId };
+    mergeNetworkMessages(result.conversationId, result.messages, true, {
+      complete: true,
+      branch: result.branch,
+      tree: result.tree,
+      leafId: result.leafId
+    });
+    log(' ChatGPT conversation:', result.messages.length, 'nodes on active path');
 
-    if (!isRelevantUrl(url)) return response;
+    return result.modelId ? { modelId: result.modelId, usage: null, hasThinking: result.messages.some(m => m.segment === 'thinking') } : null;
+  }
 
-    log(' Intercepted relevant URL:', url);
+  // Parse Claude's chat_conversations JSON into the network conversation
+  function parseClaudeConversation(text, url) {
+    const result = ContextCounter.claudeParser.parse(text, url);
+    if (!result) return null;
 
-    try {
-      const clonedResponse = response.clone();
-      clonedResponse.text().then(text => {
-        log(' Response length:', text.length);
-        const parsed = parseResponseForTokens(text, url);
-        log(' Parsed data:', parsed);
-        if (parsed) {
-          chrome.runtime.sendMessage({
-            type: 'TOKEN_DATA',
-            modelId: parsed.modelId,
-            inputTokens: parsed.usage?.inputTokens,
-            outputTokens: parsed.usage?.outputTokens,
-            totalTokens: parsed.usage?.totalTokens,
-            hasThinking: parsed.hasThinking
-          });
-        }
-      }).catch(err => {
-        log(' Parse error:', err);
-      });
-    } catch (error) {
-      log(' Fetch error:', error);
+    claudeSetup = { conversationId: result.conversationId, projectId: result.projectId, ...result.setup };
+    mergeNetworkMessages(result.conversationId, result.messages, true, { complete: true, branch: result.branch });
+    log(' Claude conversation:', result.messages.length, 'messages on active branch');
+
+    return result.modelId ? { modelId: result.modelId, usage: null, hasThinking: false } : null;
+  }
+
+  // Keep ChatGPT settings that add to the system prompt
+  function applyChatGPTSetup(setup) {
+    if (setup.kind === 'customInstructions') {
+      chatgptSetup.customInstructions = { enabled: setup.enabled, text: setup.text };
+    } else if (setup.kind === 'memory') {
+      chatgptSetup.memory = { text: setup.text, tokens: setup.tokens };
+    } else if (setup.kind === 'memorySetting') {
+      chatgptSetup.memoryEnabled = setup.enabled;
+    } else if (setup.kind === 'gizmo') {
+      chatgptSetup.gizmos[setup.id] = setup;
     }
+    log(' ChatGPT setup:', setup.kind);
+    updateFromDOM(true);
+  }
 
-    return response;
+  // Keep a Project's instructions and knowledge files (fetched separately)
+  function parseClaudeProject(text, url) {
+    const result = ContextCounter.claudeParser.parseProject(text, url);
+    if (!result) return;
+
+    if (claudeProject?.projectId !== result.projectId) {
+      claudeProject = { projectId: result.projectId, instructions: '', docs: [] };
+    }
+    if (result.instructions !== undefined) claudeProject.instructions = result.instructions;
+    if (result.docs) claudeProject.docs = result.docs;
+    log(' Claude project:', result.projectId, claudeProject.docs.length, 'knowledge files');
+    updateFromDOM(true);
+  }
+
+  // Endpoints the parsers read - must match inject.js, which relays nothing else
+  const RELEVANT_URLS = {
+    chatgpt: [
+      /\/backend-(?:api|anon)\/(?:f\/)?conversation(?:\/[\w-]+)?(?:[?#]|$)/,
+      /\/backend-api\/(?:user_system_messages|memories|settings\/user|gizmos\/)/
+    ],
+    claude: [
+      /\/chat_conversations\/[0-9a-f-]{36}(?:\/(?:completion|retry_completion))?(?:[?#]|$)/i,
+      /\/projects\/[0-9a-f-]{36}(?:\/docs)?(?:[?#]|$)/i
+    ],
+    gemini: [
+      /\/StreamGenerate(?:[?#]|$)/,
+      /\/batchexecute\?(?:[^#]*&)?rpcids=[^&#]*hNvQHb/
+    ]
   };
 
-  // EventSource interception for SSE streams
-  const OriginalEventSource = window.EventSource;
-  window.EventSource = function(url, config) {
-    log(' EventSource URL:', url);
-    const es = new OriginalEventSource(url, config);
-
-    es.addEventListener('message', (event) => {
-      if (event.data) {
-        const parsed = parseResponseForTokens(event.data, url);
-        if (parsed) {
-          log(' EventSource parsed:', parsed);
-          chrome.runtime.sendMessage({
-            type: 'TOKEN_DATA',
-            modelId: parsed.modelId,
-            inputTokens: parsed.usage?.inputTokens,
-            outputTokens: parsed.usage?.outputTokens,
-            totalTokens: parsed.usage?.totalTokens,
-            hasThinking: parsed.hasThinking
-          });
-        }
-      }
+  // Check if URL is relevant for token capture
+  function isRelevantUrl(url) {
+    return RELEVANT_URLS[platform].some(pattern => pattern.test(url));
+  }
+
+  // Send parsed usage/model data to the background script
+  function sendTokenData(parsed) {
+    chrome.runtime.sendMessage({
+      type: 'TOKEN_DATA',
+      conversationId: getConversationId(),
+      modelId: parsed.modelId,
+      inputTokens: parsed.usage?.inputTokens,
+      outputTokens: parsed.usage?.outputTokens,
+      totalTokens: parsed.usage?.totalTokens,
+      hasThinking: parsed.hasThinking
     });
+  }
 
-    return es;
-  };
-  window.EventSource.prototype = OriginalEventSource.prototype;
-  window.EventSource.CONNECTING = OriginalEventSource.CONNECTING;
-  window.EventSource.OPEN = OriginalEventSource.OPEN;
-  window.EventSource.CLOSED = OriginalEventSource.CLOSED;
+  // Page bridge - inject.js runs in the page's MAIN world (content scripts can't
+  // see the site's own fetch/XHR/EventSource traffic) and relays response bodies here.
+  // The page can post anything, so only well-formed bridge messages are accepted.
+  const BRIDGE_SOURCE = 'context-counter-bridge'; // Must match inject.js
+  const BRIDGE_KINDS = ['fetch', 'xhr', 'eventsource'];
+
+  function isValidBridgeMessage(event) {
+    if (event.source !== window || event.origin !== window.location.origin) return false;
+    const data = event.data;
+    return !!data &&
+      typeof data === 'object' &&
+      data.source === BRIDGE_SOURCE &&
+      data.version === 1 &&
+      BRIDGE_KINDS.includes(data.kind) &&
+      typeof data.url === 'string' &&
+      typeof data.text === 'string' &&
+      isRelevantUrl(data.url);
+  }
+
+  window.addEventListener('message', (event) => {
+    if (!isValidBridgeMessage(event)) return;
+
+    const { kind, url, text } = event.data;
+    log(' Bridge', kind, url, 'length:', text.length);
+
+    const parsed = parseResponseForTokens(text, url);
+    log(' Parsed data:', parsed);
+    if (parsed) sendTokenData(parsed);
+  });
 
   // Listen for messages from background script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -857,17 +2403,16 @@
       if (!data || typeof data !== 'object') {
         return;
       }
-      // Only update model name if it's specific (not generic "Unknown")
-      if (data.modelName && !data.modelName.includes('Unknown')) {
-        state.model = data.modelName;
+      // Resolve locally so the limit also reflects the detected plan
+      if (data.modelId && data.modelId !== state.modelId) {
+        state.modelId = data.modelId;
+        recalculateContextLimit();
       }
-      if (data.contextLimit) state.contextLimit = data.contextLimit;
 
-      if (data.inputTokens !== undefined) {
+      // Model-only updates carry zero usage - don't wipe the DOM estimate with them
+      if (data.totalTokens > 0 || data.inputTokens > 0) {
         state.total = data.totalTokens || (data.inputTokens + (data.outputTokens || 0));
-        // System overhead (Jan 2026): ChatGPT ~5K, Claude ~60K (MCP heavy), Gemini ~5K
-        const systemOverheads = { chatgpt: 5000, claude: 60000, gemini: 5000 };
-        const systemOverhead = systemOverheads[platform] || 5000;
+        const systemOverhead = getSystemOverhead();
         state.segments.system = state.total > 0 ? systemOverhead : 0;
         state.segments.conversation = Math.max(0, state.total - systemOverhead);
       }
@@ -881,7 +2426,13 @@
   // Reset state for new conversation
   function resetForNewChat() {
     state.total = 0;
-    state.segments = { system: 0, tools: 0, thinking: 0, conversation: 0 };
+    state.segments = { system: 0, tools: 0, thinking: 0, attachments: 0, conversation: 0 };
+    state.toolBreakdown = [];
+    state.attachmentItems = [];
+    state.branch = null;
+    state.partial = false;
+    ledgers.delete('new');
+    dropPending = false;
     // Keep model and plan - they don't change
     updateOverlay();
     log(' Reset for new chat');
@@ -897,8 +2448,11 @@
       log(' URL changed:', lastUrl, '->', currentUrl);
       lastUrl = currentUrl;
 
-      // Reset counter on navigation (new chat)
+      // Reset counter on navigation, then bring back the saved state of the chat opened.
+      // The chat just left may have a new peak for the sidebar.
       resetForNewChat();
+      restoreSavedState();
+      refreshSidebarUsage();
     }
   }
 
@@ -907,18 +2461,36 @@
     overlayElement = createOverlay();
     updateOverlay();
 
+    // Apply the registry and options page overrides once loaded, and whenever they change
+    registry.load().then(() => {
+      recalculateContextLimit();
+      updateFromDOM(true);
+    });
+    registry.onChange(() => {
+      // Clearing the plan lets an override take effect, or detection run again if it was removed
+      state.plan = null;
+      recalculateContextLimit();
+      updateFromDOM(true);
+    });
+
     // Start DOM observation for token estimation
     updateFromDOM();
 
-    // Set up MutationObserver to watch for conversation changes
-    const observer = new MutationObserver(() => {
+    // Forecast what the prompt being typed will add
+    document.addEventListener('input', onComposerInput, true);
+    document.addEventListener('paste', onComposerPaste, true);
+
+    // Set up MutationObserver to watch for conversation changes. Cached text of
+    // whatever a mutation touched is dropped first, so only that gets recounted.
+    domObserver = new MutationObserver((records) => {
+      invalidateElementTexts(records);
       updateFromDOM();
     });
 
     // Observe the main content area
     const targetNode = document.body;
     if (targetNode) {
-      observer.observe(targetNode, {
+      domObserver.observe(targetNode, {
         childList: true,
         subtree: true,
         characterData: true
@@ -932,28 +2504,44 @@
     }, 2000);  // Check every 2 seconds for navigation
 
     // Request initial state from background
-    chrome.runtime.sendMessage({ type: 'GET_STATE' }, (response) => {
-      if (response?.success && response.state) {
-        const data = response.state;
-        // Only update model name if it's specific (not generic "Unknown")
-      if (data.modelName && !data.modelName.includes('Unknown')) {
-        state.model = data.modelName;
-      }
-        if (data.contextLimit) state.contextLimit = data.contextLimit;
-        if (data.totalTokens) {
-          state.total = data.totalTokens;
-          // System overhead (Jan 2026): ChatGPT ~5K, Claude ~60K (MCP heavy), Gemini ~5K
-          const systemOverheads = { chatgpt: 5000, claude: 60000, gemini: 5000 };
-          const systemOverhead = systemOverheads[platform] || 5000;
-          state.segments.system = systemOverhead;
-          state.segments.conversation = Math.max(0, data.totalTokens - systemOverhead);
+    restoreSavedState();
+  }
+
+  // Show what was last known for this conversation right away (the background
+  // worker saves it per conversation), until the page has loaded enough to count
+  function restoreSavedState() {
+    const conversationId = getConversationId();
+    chrome.runtime.sendMessage({ type: 'GET_STATE', conversationId }, (response) => {
+      if (chrome.runtime.lastError || !response?.success || !response.state) return;
+      if (conversationId !== getConversationId()) return; // Navigated again meanwhile
+
+      const data = response.state;
+      if (data.modelId && data.modelId !== state.modelId) {
+        state.modelId = data.modelId;
+        recalculateContextLimit();
+      }
+
+      const saved = data.overlay;
+      if (saved && conversationId && saved.conversationId === conversationId) {
+        if (saved.plan && !state.plan) {
+          state.plan = saved.plan;
+          recalculateContextLimit();
         }
-        updateOverlay();
+        if (saved.total > state.total) {
+          state.total = saved.total;
+          state.segments = { ...state.segments, ...saved.segments };
+        }
+      } else if (data.totalTokens > state.total) {
+        state.total = data.totalTokens;
+        const systemOverhead = getSystemOverhead();
+        state.segments.system = systemOverhead;
+        state.segments.conversation = Math.max(0, data.totalTokens - systemOverhead);
       }
+      updateOverlay();
     });
   }
 
-  // Wait for DOM before creating overlay, but intercept fetch/EventSource immediately
+  // Wait for DOM before creating overlay (the bridge listener above is already live)
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
@@ -962,5 +2550,5 @@
 
   log(' Content script loaded for', platform);
   log(' Initial state:', JSON.stringify(state));
-  log(' Default limit for platform:', defaultLimits[platform]);
+  log(' Default limit for platform:', registry.getPlanLimit(platform, null));
 })();
@@ -0,0 +1,323 @@
+/**
+ * Context Counter - Usage History Page
+ *
+ * Charts and a filterable table of the per-conversation usage the background
+ * worker records (peak tokens, segments, models and plan - no message text),
+ * with CSV/JSON export, a retention setting and a control to wipe it all.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const registry = ContextCounter.registry;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const CONVERSATION_URLS = {
+    chatgpt: id => `https://chatgpt.com/c/${id}`,
+    claude: id => `https://claude.ai/chat/${id}`,
+    gemini: id => `https://gemini.google.com/app/${id}`
+  };
+  const PEAK_BUCKETS = [[0, 25], [25, 50], [50, 75], [75, 90], [90, 100], [100, Infinity]];
+
+  let entries = [];
+
+  function formatTokens(count) {
+    if (count >= 1000000) return (count / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+    if (count >= 1000) return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+    return Math.round(count).toString();
+  }
+
+  function formatDate(time) {
+    return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  // Entries matching the filters, most recent first
+  function getFiltered() {
+    const platform = document.getElementById('filter-platform').value;
+    const days = Number(document.getElementById('filter-period').value);
+    const model = document.getElementById('filter-model').value;
+    const nearLimit = document.getElementById('filter-near-limit').checked;
+    const cutoff = days ? Date.now() - days * DAY_MS : 0;
+    const lowest = registry.getThresholds()[0];
+
+    return entries
+      .filter(entry => !platform || entry.platform === platform)
+      .filter(entry => entry.lastSeen >= cutoff)
+      .filter(entry => !model || entry.models.includes(model))
+      .filter(entry => !nearLimit || entry.peakPercent >= lowest)
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  // Horizontal bars: [{ label, value, text, level? }], scaled to the largest value
+  function renderBars(containerId, rows) {
+    const container = document.getElementById(containerId);
+    if (rows.every(row => !row.value)) {
+      const empty = document.createElement('p');
+      empty.className = 'chart-empty';
+      empty.textContent = 'No data yet';
+      container.replaceChildren(empty);
+      return;
+    }
+
+    const max = Math.max(...rows.map(row => row.value));
+    container.replaceChildren(...rows.map(({ label, value, text, level }) => {
+      const row = document.createElement('div');
+      row.className = 'bar-row';
+      row.title = `${label}: ${text}`;
+      const labelEl = document.createElement('span');
+      labelEl.className = 'bar-label';
+      labelEl.textContent = label;
+      const track = document.createElement('div');
+      track.className = 'bar-track';
+      const fill = document.createElement('div');
+      fill.className = 'bar-fill';
+      if (level) fill.classList.add(level);
+      fill.style.width = `${max ? (value / max) * 100 : 0}%`;
+      track.appendChild(fill);
+      const valueEl = document.createElement('span');
+      valueEl.className = 'bar-value';
+      valueEl.textContent = text;
+      row.append(labelEl, track, valueEl);
+      return row;
+    }));
+  }
+
+  function renderSummary(filtered) {
+    const thresholds = registry.getThresholds();
+    const critical = thresholds[thresholds.length - 1];
+    document.getElementById('summary-count').textContent = filtered.length;
+    document.getElementById('summary-limit').textContent = filtered.filter(entry => entry.peakPercent >= critical).length;
+    document.getElementById('summary-limit-label').textContent = `Reached ${critical}% or more`;
+    const average = filtered.length ? filtered.reduce((sum, entry) => sum + entry.peakTokens, 0) / filtered.length : 0;
+    document.getElementById('summary-average').textContent = formatTokens(average);
+    document.getElementById('summary-switches').textContent = filtered.reduce((sum, entry) => sum + entry.modelSwitches, 0);
+  }
+
+  function renderCharts(filtered) {
+    // How full conversations got, colored like the overlay's alert levels
+    renderBars('chart-peak', PEAK_BUCKETS.map(([low, high]) => {
+      const count = filtered.filter(entry => entry.peakPercent >= low && entry.peakPercent < high).length;
+      return {
+        label: high === Infinity ? `Over ${low}%` : `${low}-${high}%`,
+        value: count,
+        text: String(count),
+        level: registry.getAlertLevel(low)
+      };
+    }));
+
+    renderBars('chart-platform', registry.PLATFORMS.map(platform => {
+      const matching = filtered.filter(entry => entry.platform === platform);
+      const average = matching.length ? matching.reduce((sum, entry) => sum + entry.peakTokens, 0) / matching.length : 0;
+      return { label: registry.getPlatformName(platform), value: average, text: formatTokens(average) };
+    }));
+
+    const byModel = {};
+    filtered.forEach(entry => entry.models.forEach(model => { byModel[model] = (byModel[model] || 0) + 1; }));
+    renderBars('chart-model', Object.entries(byModel)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8)
+      .map(([model, count]) => ({ label: model, value: count, text: String(count) })));
+  }
+
+  function createCell(content, className) {
+    const td = document.createElement(className === 'header' ? 'th' : 'td');
+    if (content instanceof Node) td.appendChild(content);
+    else td.textContent = content;
+    if (className && className !== 'header') td.className = className;
+    return td;
+  }
+
+  function renderTable(filtered) {
+    const table = document.getElementById('conversations');
+    const header = document.createElement('tr');
+    ['Last used', 'Platform', 'Models', 'Plan', 'Peak', '% of limit', 'Switches', ''].forEach((label, i) => {
+      const th = createCell(label, 'header');
+      if (i >= 4 && i <= 6) th.className = 'number';
+      header.appendChild(th);
+    });
+
+    const critical = registry.getThresholds().slice(-1)[0];
+    const rows = filtered.map(entry => {
+      const row = document.createElement('tr');
+      const link = document.createElement('a');
+      link.href = CONVERSATION_URLS[entry.platform](entry.conversationId);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = 'Open';
+      row.append(
+        createCell(formatDate(entry.lastSeen)),
+        createCell(registry.getPlatformName(entry.platform)),
+        createCell(entry.models.join(', ')),
+        createCell(entry.plan || ''),
+        createCell(`${formatTokens(entry.peakTokens)} / ${formatTokens(entry.contextLimit)}`, 'number'),
+        createCell(`${entry.peakPercent}%`, entry.peakPercent >= critical ? 'number critical' : 'number'),
+        createCell(String(entry.modelSwitches), 'number'),
+        createCell(link)
+      );
+      return row;
+    });
+
+    table.replaceChildren(header, ...rows);
+    table.hidden = rows.length === 0;
+    document.getElementById('empty').hidden = rows.length > 0;
+  }
+
+  function render() {
+    const filtered = getFiltered();
+    renderSummary(filtered);
+    renderCharts(filtered);
+    renderTable(filtered);
+  }
+
+  // Model filter lists every model seen, keeping the current choice
+  function renderModelOptions() {
+    const select = document.getElementById('filter-model');
+    const current = select.value;
+    const models = [...new Set(entries.flatMap(entry => entry.models))].sort();
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All';
+    select.replaceChildren(all, ...models.map(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = model;
+      return option;
+    }));
+    select.value = models.includes(current) ? current : '';
+  }
+
+  function renderSettings() {
+    const settings = registry.getHistorySettings();
+    document.getElementById('history-enabled').checked = settings.enabled;
+    const daysInput = document.getElementById('history-days');
+    daysInput.max = registry.MAX_HISTORY_DAYS;
+    daysInput.placeholder = registry.DEFAULT_HISTORY_DAYS;
+    daysInput.value = registry.getOverrides().history.retentionDays ?? '';
+  }
+
+  function load() {
+    return chrome.runtime.sendMessage({ type: 'GET_HISTORY' }).then(response => {
+      entries = Object.values(response?.history || {});
+      renderModelOptions();
+      render();
+    });
+  }
+
+  // ===========================================================================
+  // EXPORT
+  // ===========================================================================
+
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV(rows) {
+    const segments = ['system', 'tools', 'thinking', 'attachments', 'conversation'];
+    const header = ['platform', 'conversation_id', 'first_seen', 'last_seen', 'models', 'model_switches', 'plan',
+      'peak_tokens', 'peak_percent', 'context_limit', ...segments.map(segment => `peak_${segment}`)];
+    const lines = rows.map(entry => [
+      entry.platform,
+      entry.conversationId,
+      new Date(entry.firstSeen).toISOString(),
+      new Date(entry.lastSeen).toISOString(),
+      entry.models.join('; '),
+      entry.modelSwitches,
+      entry.plan,
+      entry.peakTokens,
+      entry.peakPercent,
+      entry.contextLimit,
+      ...segments.map(segment => entry.segments?.[segment] ?? '')
+    ].map(csvField).join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+  }
+
+  function exportName(extension) {
+    return `context-counter-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  // ===========================================================================
+  // EVENTS
+  // ===========================================================================
+
+  function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    setTimeout(() => { status.textContent = ''; }, 2500);
+  }
+
+  ['filter-platform', 'filter-period', 'filter-model', 'filter-near-limit'].forEach(id => {
+    document.getElementById(id).addEventListener('change', render);
+  });
+
+  document.getElementById('export-csv').addEventListener('click', () => {
+    download(exportName('csv'), 'text/csv', toCSV(getFiltered()));
+  });
+
+  document.getElementById('export-json').addEventListener('click', () => {
+    download(exportName('json'), 'application/json', JSON.stringify(getFiltered(), null, 2));
+  });
+
+  document.getElementById('save-settings').addEventListener('click', () => {
+    const history = {};
+    if (!document.getElementById('history-enabled').checked) history.enabled = false;
+    const daysValue = document.getElementById('history-days').value;
+    if (daysValue !== '') {
+      const days = Number(daysValue);
+      if (!Number.isInteger(days) || days < 1 || days > registry.MAX_HISTORY_DAYS) {
+        showStatus(`Keep history for 1 to ${registry.MAX_HISTORY_DAYS} days`, true);
+        return;
+      }
+      history.retentionDays = days;
+    }
+
+    registry.saveOverrides({ ...registry.getOverrides(), history })
+      .then(() => {
+        renderSettings();
+        showStatus('Saved');
+        // The background worker prunes to the new retention period
+        return load();
+      })
+      .catch(error => showStatus(`Could not save: ${error.message}`, true));
+  });
+
+  document.getElementById('wipe-history').addEventListener('click', () => {
+    if (!confirm('Delete all recorded usage history, including the saved usage of conversations not open in a tab? This can\'t be undone.')) return;
+    chrome.runtime.sendMessage({ type: 'WIPE_HISTORY' })
+      .then(response => {
+        if (!response?.success) throw new Error(response?.error || 'Unknown error');
+        showStatus('History wiped');
+        return load();
+      })
+      .catch(error => showStatus(`Could not wipe: ${error.message}`, true));
+  });
+
+  registry.load().then(() => {
+    const platformSelect = document.getElementById('filter-platform');
+    registry.PLATFORMS.forEach(platform => {
+      const option = document.createElement('option');
+      option.value = platform;
+      option.textContent = registry.getPlatformName(platform);
+      platformSelect.appendChild(option);
+    });
+
+    renderSettings();
+    return load();
+  });
+  registry.onChange(() => {
+    renderSettings();
+    render();
+  });
+})();
@@ -0,0 +1,149 @@
+/**
+ * Context Counter - Page Bridge
+ *
+ * Runs in the page's MAIN world at document_start so it can wrap the site's own
+ * fetch, XMLHttpRequest and EventSource. Content scripts live in an isolated
+ * world and never see the page's traffic, so relevant response bodies are
+ * relayed to content.js over window.postMessage.
+ *
+ * Keep this file small: it shares a world with the host page and has no
+ * access to extension APIs.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  // Must match BRIDGE_SOURCE in content.js
+  const BRIDGE_SOURCE = 'context-counter-bridge';
+  const BRIDGE_VERSION = 1;
+
+  // Skip huge bodies (uploads, exports) - they never carry usage data
+  const MAX_BODY_LENGTH = 20 * 1024 * 1024;
+  // Bodies the parsers can read: JSON, server-sent events, batchexecute text
+  const RELEVANT_TYPES = /json|event-stream|text\/plain/i;
+
+  // Only the endpoints the parsers read: conversation history and completion
+  // streams, and the settings that make up the OS Tax. Must match content.js.
+  const RELEVANT_URLS = {
+    chatgpt: [
+      /\/backend-(?:api|anon)\/(?:f\/)?conversation(?:\/[\w-]+)?(?:[?#]|$)/,
+      /\/backend-api\/(?:user_system_messages|memories|settings\/user|gizmos\/)/
+    ],
+    claude: [
+      /\/chat_conversations\/[0-9a-f-]{36}(?:\/(?:completion|retry_completion))?(?:[?#]|$)/i,
+      /\/projects\/[0-9a-f-]{36}(?:\/docs)?(?:[?#]|$)/i
+    ],
+    gemini: [
+      /\/StreamGenerate(?:[?#]|$)/,
+      /\/batchexecute\?(?:[^#]*&)?rpcids=[^&#]*hNvQHb/
+    ]
+  };
+
+  const hostname = window.location.hostname;
+  let platform = null;
+  if (hostname.includes('chat.openai.com') || hostname.includes('chatgpt.com')) {
+    platform = 'chatgpt';
+  } else if (hostname.includes('claude.ai')) {
+    platform = 'claude';
+  } else if (hostname.includes('gemini.google.com')) {
+    platform = 'gemini';
+  }
+
+  if (!platform) return;
+
+  function isRelevantUrl(url) {
+    return Boolean(url) && RELEVANT_URLS[platform].some(pattern => pattern.test(url));
+  }
+
+  // Check the headers before reading a body, so nothing else is cloned and read
+  function isRelevantResponse(contentType, contentLength) {
+    return RELEVANT_TYPES.test(contentType || '') && !(Number(contentLength) > MAX_BODY_LENGTH);
+  }
+
+  // Send a response body to the content script (same window, same origin only)
+  function relay(kind, url, text) {
+    if (typeof text !== 'string' || !text || text.length > MAX_BODY_LENGTH) return;
+    window.postMessage({
+      source: BRIDGE_SOURCE,
+      version: BRIDGE_VERSION,
+      kind,
+      url: String(url),
+      text
+    }, window.location.origin);
+  }
+
+  function resolveUrl(input) {
+    try {
+      const raw = typeof input === 'string' ? input : input?.url || String(input);
+      return new URL(raw, window.location.href).href;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // fetch - clone relevant responses and relay the body once it completes
+  const originalFetch = window.fetch;
+  window.fetch = function(...args) {
+    const url = resolveUrl(args[0]);
+    const promise = originalFetch.apply(this, args);
+    if (!isRelevantUrl(url)) return promise;
+
+    return promise.then(response => {
+      if (!isRelevantResponse(response.headers.get('content-type'), response.headers.get('content-length'))) return response;
+      try {
+        response.clone().text().then(text => relay('fetch', url, text)).catch(() => {});
+      } catch (e) { /* body already used or opaque */ }
+      return response;
+    });
+  };
+
+  // XMLHttpRequest - remember the URL on open, relay the body on load
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const xhrUrls = new WeakMap();
+
+  XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+    xhrUrls.set(this, resolveUrl(url));
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  XMLHttpRequest.prototype.send = function(...args) {
+    const url = xhrUrls.get(this);
+    if (isRelevantUrl(url)) {
+      this.addEventListener('load', () => {
+        try {
+          if (!isRelevantResponse(this.getResponseHeader('content-type'), this.getResponseHeader('content-length'))) return;
+          if (this.responseType === '' || this.responseType === 'text') {
+            relay('xhr', url, this.responseText);
+          } else if (this.responseType === 'json' && this.response) {
+            relay('xhr', url, JSON.stringify(this.response));
+          }
+        } catch (e) { /* unreadable response */ }
+      });
+    }
+    return originalSend.apply(this, args);
+  };
+
+  // EventSource - relay each SSE message in the "data: " framing the parser expects
+  const OriginalEventSource = window.EventSource;
+  if (OriginalEventSource) {
+    const WrappedEventSource = function(url, config) {
+      const es = new OriginalEventSource(url, config);
+      const absoluteUrl = resolveUrl(url);
+      if (isRelevantUrl(absoluteUrl)) {
+        es.addEventListener('message', (event) => {
+          if (typeof event.data === 'string') relay('eventsource', absoluteUrl, 'data: ' + event.data);
+        });
+      }
+      return es;
+    };
+    WrappedEventSource.prototype = OriginalEventSource.prototype;
+    WrappedEventSource.CONNECTING = OriginalEventSource.CONNECTING;
+    WrappedEventSource.OPEN = OriginalEventSource.OPEN;
+    WrappedEventSource.CLOSED = OriginalEventSource.CLOSED;
+    window.EventSource = WrappedEventSource;
+  }
+})();
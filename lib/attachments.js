@@ -0,0 +1,73 @@
+/**
+ * Context Counter - Attachment Sizing
+ *
+ * Token estimates for files and images attached to a conversation. Text files
+ * count their extracted content; images use each vendor's published formula
+ * from the image's pixel dimensions:
+ *
+ * - OpenAI (high detail): fit within 2048x2048, scale the short side to 768,
+ *   then 85 + 170 per 512px tile
+ * - Anthropic: fit the long edge within 1568px and the area within ~1.2
+ *   megapixels (about 1,600 tokens), then width * height / 750
+ * - Google: 258 for images up to 384x384, otherwise 258 per tile, with tiles
+ *   of floor(min(width, height) / 1.5) pixels
+ *
+ * Pure functions with no DOM or extension API use - loaded by content.js.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function(root) {
+  'use strict';
+
+  const ContextCounter = root.ContextCounter = root.ContextCounter || {};
+
+  // Used when a site doesn't report an image's dimensions
+  const DEFAULT_IMAGE_SIZE = { width: 1024, height: 1024 };
+
+  function openaiImageTokens(width, height) {
+    let scale = Math.min(1, 2048 / Math.max(width, height));
+    let w = width * scale;
+    let h = height * scale;
+    scale = Math.min(1, 768 / Math.min(w, h));
+    w *= scale;
+    h *= scale;
+    return 85 + 170 * Math.ceil(w / 512) * Math.ceil(h / 512);
+  }
+
+  function anthropicImageTokens(width, height) {
+    const scale = Math.min(1, 1568 / Math.max(width, height), Math.sqrt(1200000 / (width * height)));
+    return Math.ceil((width * scale) * (height * scale) / 750);
+  }
+
+  function geminiImageTokens(width, height) {
+    if (width <= 384 && height <= 384) return 258;
+    const tile = Math.max(1, Math.floor(Math.min(width, height) / 1.5));
+    return 258 * Math.ceil(width / tile) * Math.ceil(height / tile);
+  }
+
+  /**
+   * Tokens for an image of the given size on a platform
+   */
+  function imageTokens(platform, width, height) {
+    if (!(width > 0 && height > 0)) ({ width, height } = DEFAULT_IMAGE_SIZE);
+    if (platform === 'claude') return anthropicImageTokens(width, height);
+    if (platform === 'gemini') return geminiImageTokens(width, height);
+    return openaiImageTokens(width, height);
+  }
+
+  /**
+   * Tokens for one attachment, or null when its size can't be known
+   * @param {{ kind: 'text'|'image'|'file', text?, width?, height?, tokens? }} attachment
+   * @param {function(string): number} countText - Token counter for extracted text
+   */
+  function attachmentTokens(platform, attachment, countText) {
+    if (attachment.tokens > 0) return attachment.tokens; // Reported by the site
+    if (attachment.kind === 'image') return imageTokens(platform, attachment.width, attachment.height);
+    if (attachment.text) return countText(attachment.text);
+    return null;
+  }
+
+  ContextCounter.attachments = { imageTokens, attachmentTokens };
+})(typeof self !== 'undefined' ? self : globalThis);
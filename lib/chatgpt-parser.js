@@ -0,0 +1,298 @@
+/**
+ * Context Counter - ChatGPT Conversation Parser
+ *
+ * Reads the conversation JSON ChatGPT loads for an open chat
+ * (GET /backend-api/conversation/<id>). Its `mapping` is a tree of nodes;
+ * following `current_node` (or the last message on screen) back to the root
+ * gives the active branch. Many nodes never reach the DOM - system and memory
+ * context, tool calls, code interpreter output, browsing results, reasoning -
+ * so each node is sorted into the overlay's system / tools / thinking /
+ * conversation segments.
+ *
+ * Also reads the settings the page loads that make up the system overhead:
+ * custom instructions, saved memories, and a custom GPT's or Project's
+ * instructions and knowledge files.
+ *
+ * Pure functions with no DOM or extension API use - loaded by content.js.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function(root) {
+  'use strict';
+
+  const ContextCounter = root.ContextCounter = root.ContextCounter || {};
+
+  // content_type -> what a system node holds, for the OS Tax breakdown
+  const SYSTEM_KINDS = {
+    user_editable_context: 'customInstructions',
+    model_editable_context: 'memory'
+  };
+
+  const SETUP_URL_PATTERN = /\/backend-api\/(user_system_messages|memories|settings\/user|gizmos\/)/;
+
+  // content_type -> segment for types that aren't plain chat text
+  const CONTENT_TYPE_SEGMENTS = {
+    user_editable_context: 'system',  // Custom instructions
+    model_editable_context: 'system', // Saved memories
+    code: 'tools',
+    execution_output: 'tools',
+    tether_browsing_display: 'tools',
+    tether_quote: 'tools',
+    system_error: 'tools',
+    thoughts: 'thinking',
+    reasoning_recap: 'thinking',
+  };
+
+  function joinText(...values) {
+    return values.filter(value => typeof value === 'string' && value).join('\n');
+  }
+
+  /**
+   * Text of a message's content, whatever its content_type
+   */
+  function getContentText(content) {
+    if (!content || typeof content !== 'object') return '';
+
+    switch (content.content_type) {
+      case 'user_editable_context':
+        return joinText(content.user_profile, content.user_instructions);
+      case 'model_editable_context':
+        return joinText(content.model_set_context);
+      case 'thoughts':
+        return (content.thoughts || []).map(thought => joinText(thought?.summary, thought?.content)).join('\n');
+      case 'reasoning_recap':
+        return joinText(content.content);
+      case 'tether_browsing_display':
+        return joinText(content.summary, content.result);
+      case 'tether_quote':
+        return joinText(content.title, content.text);
+      default:
+        break;
+    }
+
+    if (Array.isArray(content.parts)) {
+      // Non-string parts are images/files - counted separately from text
+      return content.parts.filter(part => typeof part === 'string').join('\n');
+    }
+    return joinText(content.text, content.result);
+  }
+
+  /**
+   * Uploaded files and images on a message. metadata.attachments covers both
+   * (with file_token_size for documents); older messages only have image parts.
+   */
+  function getAttachments(message) {
+    const listed = message.metadata?.attachments;
+    if (Array.isArray(listed) && listed.length > 0) {
+      return listed.filter(Boolean).map(attachment => {
+        const mimeType = attachment.mime_type || attachment.mimeType || '';
+        return {
+          name: attachment.name || 'File',
+          kind: mimeType.startsWith('image/') || attachment.width ? 'image' : 'file',
+          width: attachment.width || null,
+          height: attachment.height || null,
+          tokens: attachment.file_token_size || null
+        };
+      });
+    }
+
+    const parts = Array.isArray(message.content?.parts) ? message.content.parts : [];
+    return parts
+      .filter(part => part && part.content_type === 'image_asset_pointer')
+      .map(part => ({ name: 'Image', kind: 'image', width: part.width || null, height: part.height || null }));
+  }
+
+  /**
+   * Segment a message belongs to, and the tool name for tool traffic
+   */
+  function classifyMessage(message) {
+    const role = message.author?.role;
+    const contentType = message.content?.content_type;
+
+    if (CONTENT_TYPE_SEGMENTS[contentType]) {
+      const segment = CONTENT_TYPE_SEGMENTS[contentType];
+      const toolName = segment === 'tools' ? (message.author?.name || message.recipient || contentType) : null;
+      return { segment, toolName };
+    }
+    if (role === 'system') return { segment: 'system', toolName: null };
+    if (role === 'tool') return { segment: 'tools', toolName: message.author?.name || 'tool' };
+    // Assistant messages addressed to a tool are tool calls, not replies
+    if (role === 'assistant' && message.recipient && message.recipient !== 'all') {
+      return { segment: 'tools', toolName: message.recipient };
+    }
+    return { segment: 'conversation', toolName: null };
+  }
+
+  /**
+   * Nodes from the root down to leafId
+   */
+  function getActivePath(nodes, leafId) {
+    const path = [];
+    const seen = new Set();
+    let id = leafId;
+    while (id && nodes[id] && !seen.has(id)) {
+      seen.add(id);
+      path.unshift(nodes[id]);
+      id = nodes[id].parent;
+    }
+    return path;
+  }
+
+  /**
+   * The deepest fork on a path: which of its parent's children the path takes.
+   * Edits and regenerations create sibling nodes, shown in the UI as "2/3".
+   */
+  function getBranch(nodes, path) {
+    for (let i = path.length - 1; i > 0; i--) {
+      const siblings = nodes[path[i].parent]?.children || [];
+      if (siblings.length > 1) {
+        return { index: siblings.indexOf(path[i].id) + 1, count: siblings.length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Messages, model and branch for the path ending at leafId
+   * @returns {{ leafId, modelId, branch: { index, count }|null, messages: Array<{ id, role, segment, toolName, text, attachments }> }}
+   */
+  function resolveBranch(tree, leafId) {
+    const path = getActivePath(tree.nodes, leafId);
+    let modelId = tree.defaultModelId;
+    const messages = [];
+
+    for (const node of path) {
+      if (node.modelSlug) modelId = node.modelSlug;
+      if (node.entry) messages.push(node.entry);
+    }
+
+    return { leafId, modelId, branch: getBranch(tree.nodes, path), messages };
+  }
+
+  /**
+   * Convert a mapping node's message into a counted entry (null if it has no text or attachments)
+   */
+  function toEntry(node) {
+    const message = node.message;
+    if (!message) return null;
+
+    const text = getContentText(message.content);
+    const attachments = getAttachments(message);
+    if (!text && attachments.length === 0) return null;
+
+    const { segment, toolName } = classifyMessage(message);
+    return {
+      id: message.id || node.id,
+      role: message.author?.role || 'unknown',
+      segment,
+      toolName,
+      systemKind: segment === 'system' ? (SYSTEM_KINDS[message.content?.content_type] || 'system') : null,
+      text,
+      attachments
+    };
+  }
+
+  /**
+   * Parse a backend-api conversation response body.
+   * Keeps the whole tree so the active branch can be re-resolved when the user
+   * switches branches in the UI without the page refetching the conversation.
+   * @returns {{ conversationId, gizmoId, tree, leafId, modelId, branch, messages }|null}
+   */
+  function parse(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    let conversation;
+    try {
+      conversation = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!conversation || typeof conversation.mapping !== 'object' || !conversation.current_node) return null;
+
+    const conversationId = conversation.conversation_id || conversation.id || null;
+    if (!conversationId) return null;
+
+    const nodes = {};
+    for (const [id, node] of Object.entries(conversation.mapping)) {
+      if (!node) continue;
+      const message = node.message;
+      nodes[id] = {
+        id,
+        parent: node.parent || null,
+        children: Array.isArray(node.children) ? node.children : [],
+        modelSlug: message?.author?.role === 'assistant' ? message.metadata?.model_slug || null : null,
+        entry: toEntry({ ...node, id })
+      };
+    }
+
+    const tree = { nodes, defaultModelId: conversation.default_model_slug || null };
+    return {
+      conversationId,
+      gizmoId: conversation.gizmo_id || null,
+      tree,
+      ...resolveBranch(tree, conversation.current_node)
+    };
+  }
+
+  /**
+   * Parse a settings response that adds to the system prompt:
+   * - /backend-api/user_system_messages: custom instructions
+   * - /backend-api/memories: saved memories
+   * - /backend-api/settings/user: whether memory is on
+   * - /backend-api/gizmos/<id>: a custom GPT or Project (ids starting "g-p-")
+   * @returns {{ kind: 'customInstructions'|'memory'|'memorySetting'|'gizmo', ... }|null}
+   */
+  function parseSetup(text, url) {
+    if (!text || typeof text !== 'string' || !SETUP_URL_PATTERN.test(url || '')) return null;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!data || typeof data !== 'object') return null;
+
+    if (url.includes('/user_system_messages')) {
+      return {
+        kind: 'customInstructions',
+        enabled: data.enabled !== false,
+        text: joinText(data.about_user_message, data.about_model_message)
+      };
+    }
+
+    if (url.includes('/memories') && Array.isArray(data.memories)) {
+      return {
+        kind: 'memory',
+        text: data.memories.map(memory => memory?.content).filter(Boolean).join('\n'),
+        tokens: Number.isFinite(data.memory_num_tokens) ? data.memory_num_tokens : null
+      };
+    }
+
+    if (url.includes('/settings/user') && typeof data.settings?.memory_enabled === 'boolean') {
+      return { kind: 'memorySetting', enabled: data.settings.memory_enabled };
+    }
+
+    const gizmo = data.gizmo;
+    if (url.includes('/gizmos/') && gizmo?.id) {
+      const files = Array.isArray(data.files) ? data.files : (Array.isArray(gizmo.files) ? gizmo.files : []);
+      return {
+        kind: 'gizmo',
+        id: gizmo.id,
+        name: gizmo.display?.name || gizmo.id,
+        isProject: gizmo.id.startsWith('g-p-'),
+        instructions: typeof gizmo.instructions === 'string' ? gizmo.instructions : '',
+        files: files.filter(Boolean).map(file => ({
+          name: file.name || 'Knowledge file',
+          tokens: file.file_token_size || null
+        }))
+      };
+    }
+
+    return null;
+  }
+
+  ContextCounter.chatgptParser = { parse, parseSetup, resolveBranch };
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,267 @@
+/**
+ * Context Counter - Claude Conversation Parser
+ *
+ * Reads the chat_conversations JSON claude.ai loads for an open chat
+ * (GET /api/organizations/<org>/chat_conversations/<uuid>?tree=True...).
+ * Walks from current_leaf_message_uuid back to the root so only the active
+ * branch is counted, and pulls out text the DOM never renders in full:
+ * pasted documents, attachment extracted_content, collapsed thinking blocks,
+ * and tool calls and results (web search, analysis, connectors and MCP tools).
+ * Also reads which tools and connectors the conversation has enabled, and
+ * Project instructions and knowledge files, which make up the OS Tax.
+ *
+ * Pure functions with no DOM or extension API use - loaded by content.js.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function(root) {
+  'use strict';
+
+  const ContextCounter = root.ContextCounter = root.ContextCounter || {};
+
+  const CONVERSATION_URL_PATTERN = /\/chat_conversations\/([0-9a-f-]{36})(?:[/?]|$)/i;
+  const PROJECT_URL_PATTERN = /\/projects\/([0-9a-f-]{36})(\/docs)?(?:[?]|$)/i;
+
+  // Conversation settings flags (claude.ai's own names) -> registry systemItems keys
+  const SETTING_ITEMS = {
+    enabled_web_search: 'webSearch',
+    enabled_turmeric: 'analysis',
+    compass_mode: 'research',
+    enabled_bananagrams: 'googleDrive',
+    enabled_sourdough: 'gmail',
+    enabled_foccacia: 'googleCalendar'
+  };
+
+  /**
+   * Get the conversation UUID from a chat_conversations URL (null for list endpoints)
+   */
+  function getConversationIdFromUrl(url) {
+    const match = (url || '').match(CONVERSATION_URL_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Text of a message's content blocks (falls back to the legacy `text` field)
+   */
+  function getMessageText(message) {
+    if (!Array.isArray(message.content) || message.content.length === 0) {
+      return typeof message.text === 'string' ? message.text : '';
+    }
+    return message.content
+      .filter(block => block?.type === 'text' && typeof block.text === 'string')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  /**
+   * Text of a message's extended thinking blocks (collapsed in the UI)
+   */
+  function getThinkingText(message) {
+    if (!Array.isArray(message.content)) return '';
+    return message.content
+      .filter(block => block?.type === 'thinking' && typeof block.thinking === 'string')
+      .map(block => block.thinking)
+      .join('\n');
+  }
+
+  // Text of a tool_result's content: text blocks and search results ("knowledge")
+  function getToolResultText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+      .map(block => [block?.title, block?.url, block?.text].filter(value => typeof value === 'string').join('\n'))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Tool calls and results in a message, one entry each.
+   * Connector and MCP tools are grouped under their integration's name.
+   */
+  function getToolEntries(message) {
+    if (!Array.isArray(message.content)) return [];
+    const entries = [];
+    message.content.forEach((block, i) => {
+      if (block?.type !== 'tool_use' && block?.type !== 'tool_result') return;
+      const text = block.type === 'tool_use'
+        ? JSON.stringify(block.input || {})
+        : getToolResultText(block.content);
+      if (!text) return;
+      entries.push({
+        id: message.uuid ? `${message.uuid}:tool:${i}` : null,
+        role: 'assistant',
+        segment: 'tools',
+        toolName: block.integration_name || block.name || 'tool',
+        text
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * What the model sees besides the message text: pasted documents and
+   * uploaded text files (extracted_content), plus images and other files
+   */
+  function getAttachments(message) {
+    const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+    const extracted = attachments
+      .filter(attachment => attachment && typeof attachment.extracted_content === 'string')
+      .map(attachment => ({
+        name: attachment.file_name || 'Pasted content',
+        kind: 'text',
+        text: attachment.extracted_content
+      }));
+
+    const files = Array.isArray(message.files_v2) ? message.files_v2 : (Array.isArray(message.files) ? message.files : []);
+    const uploads = files.filter(Boolean).map(file => {
+      const preview = file.preview_asset || file.thumbnail_asset || {};
+      return {
+        name: file.file_name || 'File',
+        kind: file.file_kind === 'image' ? 'image' : 'file',
+        width: preview.image_width || null,
+        height: preview.image_height || null
+      };
+    });
+
+    return extracted.concat(uploads);
+  }
+
+  /**
+   * Tools and connectors enabled for the conversation.
+   * enabled_mcp_tools keys are "<server>:<tool>" (or just the tool name).
+   * @returns {{ enabledItems: string[], mcpTools: Object<string, number> }}
+   */
+  function getSetup(settings) {
+    const enabledItems = [];
+    const mcpTools = {};
+    if (!settings || typeof settings !== 'object') return { enabledItems, mcpTools };
+
+    for (const [setting, key] of Object.entries(SETTING_ITEMS)) {
+      if (settings[setting]) enabledItems.push(key);
+    }
+    for (const [tool, enabled] of Object.entries(settings.enabled_mcp_tools || {})) {
+      if (!enabled) continue;
+      const server = tool.includes(':') ? tool.split(':')[0] : 'Connectors';
+      mcpTools[server] = (mcpTools[server] || 0) + 1;
+    }
+    return { enabledItems, mcpTools };
+  }
+
+  /**
+   * Order messages along the active branch: current leaf back to the root.
+   * Conversations fetched without tree=True have no parent links - they are
+   * already a single linear branch.
+   */
+  function getActivePath(messages, leafId) {
+    const byId = new Map(messages.map(message => [message.uuid, message]));
+    if (!leafId || !byId.has(leafId) || !messages.some(message => message.parent_message_uuid)) {
+      return messages.slice().sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    }
+
+    const path = [];
+    const seen = new Set();
+    let current = byId.get(leafId);
+    while (current && !seen.has(current.uuid)) {
+      seen.add(current.uuid);
+      path.unshift(current);
+      current = byId.get(current.parent_message_uuid);
+    }
+    return path;
+  }
+
+  /**
+   * The deepest fork on the active path: which sibling (same parent) it takes.
+   * Edited prompts and retried replies are siblings, shown in the UI as "2 / 3".
+   */
+  function getBranch(messages, path) {
+    for (let i = path.length - 1; i >= 0; i--) {
+      const parentId = path[i].parent_message_uuid;
+      if (!parentId) continue;
+      const siblings = messages
+        .filter(message => message.parent_message_uuid === parentId)
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+      if (siblings.length > 1) {
+        return { index: siblings.indexOf(path[i]) + 1, count: siblings.length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a chat_conversations response body.
+   * Thinking and tool traffic become their own entries (segments 'thinking'
+   * and 'tools') ahead of the reply.
+   * @returns {{ conversationId, modelId, branch, projectId, setup, messages: Array<{ id, role, segment?, toolName?, text, attachments? }> }|null}
+   */
+  function parse(text, url) {
+    if (!text || typeof text !== 'string') return null;
+
+    let conversation;
+    try {
+      conversation = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!conversation || typeof conversation !== 'object' || !Array.isArray(conversation.chat_messages)) return null;
+
+    const conversationId = conversation.uuid || getConversationIdFromUrl(url);
+    if (!conversationId) return null;
+
+    const path = getActivePath(conversation.chat_messages, conversation.current_leaf_message_uuid);
+    const messages = [];
+    for (const message of path) {
+      const role = message.sender === 'human' ? 'user' : 'assistant';
+      const thinking = role === 'assistant' ? getThinkingText(message) : '';
+      if (thinking) {
+        messages.push({ id: message.uuid ? message.uuid + ':thinking' : null, role, segment: 'thinking', text: thinking });
+      }
+      messages.push(...getToolEntries(message));
+      messages.push({
+        id: message.uuid || null,
+        role,
+        text: getMessageText(message),
+        attachments: getAttachments(message)
+      });
+    }
+
+    return {
+      conversationId,
+      modelId: typeof conversation.model === 'string' ? conversation.model : null,
+      branch: getBranch(conversation.chat_messages, path),
+      projectId: conversation.project_uuid || conversation.project?.uuid || null,
+      setup: getSetup(conversation.settings),
+      messages
+    };
+  }
+
+  /**
+   * Parse a Project (GET .../projects/<uuid>) or its knowledge files (.../projects/<uuid>/docs)
+   * @returns {{ projectId, instructions?: string, docs?: Array<{ name, text }> }|null}
+   */
+  function parseProject(text, url) {
+    const match = (url || '').match(PROJECT_URL_PATTERN);
+    if (!match || !text || typeof text !== 'string') return null;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+
+    const projectId = match[1];
+    if (match[2]) {
+      if (!Array.isArray(data)) return null;
+      const docs = data
+        .filter(doc => doc && typeof doc.content === 'string')
+        .map(doc => ({ name: doc.file_name || 'Knowledge file', text: doc.content }));
+      return { projectId, docs };
+    }
+    if (!data || typeof data !== 'object') return null;
+    return { projectId, instructions: typeof data.prompt_template === 'string' ? data.prompt_template : '' };
+  }
+
+  ContextCounter.claudeParser = { parse, parseProject, getConversationIdFromUrl };
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,254 @@
+/**
+ * Context Counter - Gemini Response Parser
+ *
+ * Decodes Gemini's batchexecute / StreamGenerate framing:
+ *
+ *   )]}'
+ *   <length>
+ *   [["wrb.fr","<rpc id>","<JSON-encoded payload>",...],...]
+ *   <length>
+ *   ...
+ *
+ * Each frame is a JSON array of envelopes; "wrb.fr" envelopes carry a payload
+ * that is itself a JSON string of deeply nested arrays. Positions inside the
+ * payload are undocumented and were mapped from recorded traffic, so every
+ * lookup is defensive and unknown shapes simply yield nothing.
+ *
+ * Pure functions with no DOM or extension API use - loaded by content.js.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function(root) {
+  'use strict';
+
+  const ContextCounter = root.ContextCounter = root.ContextCounter || {};
+
+  const XSSI_PREFIX = ")]}'";
+  const RPC_READ_CHAT = 'hNvQHb'; // Conversation history (one entry per turn)
+  const MODEL_ID_PATTERN = /^gemini-\d[\w.-]*$/i;
+  const USAGE_KEYS = ['promptTokenCount', 'candidatesTokenCount', 'thoughtsTokenCount', 'totalTokenCount'];
+
+  // Read a nested array position without throwing: at(data, 4, 0, 1, 0)
+  function at(value, ...path) {
+    for (const key of path) {
+      if (!Array.isArray(value) && (value === null || typeof value !== 'object')) return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  function parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Find the index of the bracket closing the array that opens at `start`.
+   * String-aware so brackets inside JSON strings are ignored.
+   * Returns -1 if the array is incomplete (stream still in progress).
+   */
+  function findArrayEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '[') {
+        depth++;
+      } else if (ch === ']') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Split a response body into its JSON frames.
+   * Length prefixes are skipped rather than trusted: they count bytes in some
+   * responses and UTF-16 units in others, so frames are delimited by bracket
+   * matching instead.
+   */
+  function splitFrames(text) {
+    const body = text.startsWith(XSSI_PREFIX) ? text.slice(XSSI_PREFIX.length) : text;
+    const frames = [];
+    let pos = 0;
+
+    while (pos < body.length) {
+      const start = body.indexOf('[', pos);
+      if (start === -1) break;
+      const end = findArrayEnd(body, start);
+      if (end === -1) break;
+      const frame = parseJson(body.slice(start, end + 1));
+      if (Array.isArray(frame)) frames.push(frame);
+      pos = end + 1;
+    }
+    return frames;
+  }
+
+  /**
+   * Extract the "wrb.fr" envelopes from all frames
+   * @returns {Array<{ rpcId: string|null, payload: * }>}
+   */
+  function getEnvelopes(text) {
+    const envelopes = [];
+    for (const frame of splitFrames(text)) {
+      // Single-envelope frames aren't wrapped in an outer array
+      const entries = frame[0] === 'wrb.fr' ? [frame] : frame;
+      for (const entry of entries) {
+        if (!Array.isArray(entry) || entry[0] !== 'wrb.fr' || typeof entry[2] !== 'string') continue;
+        const payload = parseJson(entry[2]);
+        if (payload !== undefined) envelopes.push({ rpcId: entry[1] || null, payload });
+      }
+    }
+    return envelopes;
+  }
+
+  // Depth-first walk over every value in a payload
+  function walk(value, visit) {
+    visit(value);
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, visit));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => walk(item, visit));
+    }
+  }
+
+  // The model ID sits in a top-level slot of the payload, next to the
+  // conversation IDs and candidates. Only whole strings there count - a model
+  // name quoted in the conversation text is nested inside a candidate or turn.
+  function findModelId(payload) {
+    if (!Array.isArray(payload)) return null;
+    const match = payload.find(value => typeof value === 'string' && MODEL_ID_PATTERN.test(value));
+    return match ? match.toLowerCase() : null;
+  }
+
+  // Usage metadata in the public API's camelCase shape, wherever it appears
+  function findUsage(payload) {
+    let usage = null;
+    walk(payload, value => {
+      if (usage || !value || typeof value !== 'object' || Array.isArray(value)) return;
+      if (!USAGE_KEYS.some(key => typeof value[key] === 'number')) return;
+      const inputTokens = value.promptTokenCount || 0;
+      const outputTokens = (value.candidatesTokenCount || 0) + (value.thoughtsTokenCount || 0);
+      usage = { inputTokens, outputTokens, totalTokens: value.totalTokenCount || inputTokens + outputTokens };
+    });
+    return usage;
+  }
+
+  function stripConversationPrefix(id) {
+    return typeof id === 'string' ? id.replace(/^c_/, '') : null;
+  }
+
+  function asText(value) {
+    return typeof value === 'string' ? value : '';
+  }
+
+  /**
+   * StreamGenerate chunk: [null, [conversationId, responseId], null, null, [candidates...]]
+   * Candidate: [candidateId, [replyText], ..., (index 37) [[thoughtsText]]]
+   */
+  function parseStreamPayload(payload) {
+    const candidate = at(payload, 4, 0);
+    const text = asText(at(candidate, 1, 0));
+    const thinking = asText(at(candidate, 37, 0, 0));
+    if (!text && !thinking) return null;
+
+    return {
+      conversationId: stripConversationPrefix(at(payload, 1, 0)),
+      turns: [{
+        id: asText(at(payload, 1, 1)) || asText(at(candidate, 0)) || null,
+        role: 'assistant',
+        text,
+        thinking
+      }]
+    };
+  }
+
+  /**
+   * hNvQHb history: [[turn, ...]], newest turn first
+   * Turn: [[conversationId, responseId], ..., [[promptText]], [[candidate, ...]]]
+   */
+  function parseHistoryPayload(payload) {
+    const entries = at(payload, 0);
+    if (!Array.isArray(entries)) return null;
+
+    const turns = [];
+    let conversationId = null;
+    // Oldest first so turns read in conversation order
+    for (const entry of entries.slice().reverse()) {
+      const responseId = asText(at(entry, 0, 1)) || null;
+      conversationId = conversationId || stripConversationPrefix(at(entry, 0, 0));
+
+      const prompt = asText(at(entry, 2, 0, 0));
+      if (prompt) turns.push({ id: responseId && responseId + ':user', role: 'user', text: prompt, thinking: '' });
+
+      const candidate = at(entry, 3, 0, 0);
+      const reply = asText(at(candidate, 1, 0));
+      const thinking = asText(at(candidate, 37, 0, 0));
+      if (reply || thinking) turns.push({ id: responseId, role: 'assistant', text: reply, thinking });
+    }
+
+    return turns.length ? { conversationId, turns } : null;
+  }
+
+  /**
+   * Parse a batchexecute or StreamGenerate response body
+   * @returns {{ modelId, usage, hasThinking, conversationId, turns, isHistory }|null}
+   */
+  function parse(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    let modelId = null;
+    let usage = null;
+    let conversationId = null;
+    let isHistory = false;
+    let turns = [];
+
+    for (const { rpcId, payload } of getEnvelopes(text)) {
+      modelId = modelId || findModelId(payload);
+      usage = findUsage(payload) || usage;
+
+      if (rpcId === RPC_READ_CHAT) {
+        const history = parseHistoryPayload(payload);
+        if (!history) continue;
+        // History is the full thread - it replaces anything streamed before it
+        isHistory = true;
+        conversationId = history.conversationId || conversationId;
+        turns = history.turns;
+      } else if (rpcId === null) {
+        const chunk = parseStreamPayload(payload);
+        if (!chunk) continue;
+        conversationId = conversationId || chunk.conversationId;
+        // Streamed chunks repeat the reply so far - keep only the latest version of each turn
+        for (const turn of chunk.turns) {
+          const existing = turn.id ? turns.findIndex(t => t.id === turn.id) : -1;
+          if (existing === -1) turns.push(turn);
+          else turns[existing] = turn;
+        }
+      }
+    }
+
+    if (!modelId && !usage && turns.length === 0) return null;
+
+    return {
+      modelId,
+      usage,
+      hasThinking: turns.some(turn => turn.thinking),
+      conversationId,
+      turns,
+      isHistory
+    };
+  }
+
+  ContextCounter.geminiParser = { parse, splitFrames, getEnvelopes };
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,602 @@
+/**
+ * Context Counter - Model Registry
+ *
+ * Single source of truth for models, plans, context limits, the per-platform
+ * "OS Tax" (system overhead) and usage alert thresholds. Shared by the
+ * background worker, the content script, the popup and the options page.
+ *
+ * Data comes from the versioned registry/models.json bundled with the
+ * extension, or from an updated registry file the user imported on the options
+ * page (validated against registry/models.schema.json, kept in
+ * chrome.storage.local). Per-value user overrides live in chrome.storage.sync
+ * and are merged on top.
+ *
+ * Models are matched only by exact ID, alias or the registry's regex
+ * patterns - anything else is reported as unrecognized rather than guessed.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function(root) {
+  'use strict';
+
+  const ContextCounter = root.ContextCounter = root.ContextCounter || {};
+
+  const REGISTRY_FILE = 'registry/models.json';
+  const SCHEMA_VERSION = 1;
+  const SETTINGS_KEY = 'settings';          // chrome.storage.sync - user overrides
+  const IMPORTED_KEY = 'importedRegistry';  // chrome.storage.local - imported registry file
+  const PLATFORMS = ['chatgpt', 'claude', 'gemini'];
+
+  // Used only until the registry has loaded
+  const FALLBACK_LIMIT = 128000;
+
+  // Usage percentages that trigger warnings - the highest one is critical
+  const DEFAULT_THRESHOLDS = [75, 90];
+  const MAX_THRESHOLDS = 5;
+
+  // Pastes larger than this share of the remaining context ask first
+  const DEFAULT_PASTE_SHARE = 25;
+
+  // Days of usage history kept for the history page
+  const DEFAULT_HISTORY_DAYS = 90;
+  const MAX_HISTORY_DAYS = 3650;
+
+  let bundled = null;   // Validated bundled registry
+  let active = null;    // Compiled registry in use (imported or bundled)
+  let overrides = emptyOverrides();
+  let loadPromise = null;
+  let loadError = null;  // Why loading failed (see getInfo); defaults are used meanwhile
+  const listeners = [];
+
+  // ===========================================================================
+  // SCHEMA VALIDATION
+  // ===========================================================================
+
+  const isLimit = n => Number.isInteger(n) && n > 0;
+  const isNonEmptyString = s => typeof s === 'string' && s.length > 0;
+
+  function validatePatterns(patterns, path, errors) {
+    if (patterns === undefined) return;
+    if (!Array.isArray(patterns)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+    patterns.forEach((pattern, i) => {
+      if (!isNonEmptyString(pattern)) {
+        errors.push(`${path}[${i}] must be a non-empty string`);
+        return;
+      }
+      try {
+        new RegExp(pattern, 'i');
+      } catch (e) {
+        errors.push(`${path}[${i}] is not a valid regular expression: ${e.message}`);
+      }
+    });
+  }
+
+  /**
+   * Validate registry data against the schema (registry/models.schema.json)
+   * @returns {string[]} Errors - empty when valid
+   */
+  function validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['Registry must be a JSON object'];
+
+    if (data.schemaVersion !== SCHEMA_VERSION) errors.push(`schemaVersion must be ${SCHEMA_VERSION}`);
+    if (!isNonEmptyString(data.version)) errors.push('version must be a non-empty string');
+    if (data.updated !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(data.updated)) errors.push('updated must be a YYYY-MM-DD date');
+
+    if (!data.platforms || typeof data.platforms !== 'object') {
+      errors.push('platforms must be an object');
+    } else {
+      PLATFORMS.forEach(platform => {
+        const entry = data.platforms[platform];
+        const path = `platforms.${platform}`;
+        if (!entry || typeof entry !== 'object') {
+          errors.push(`${path} is required`);
+          return;
+        }
+        if (!isNonEmptyString(entry.name)) errors.push(`${path}.name must be a non-empty string`);
+        if (!entry.defaultModel || !isNonEmptyString(entry.defaultModel.name) || !isLimit(entry.defaultModel.context)) {
+          errors.push(`${path}.defaultModel needs a name and a positive integer context`);
+        }
+        if (!Number.isInteger(entry.systemOverhead) || entry.systemOverhead < 0) {
+          errors.push(`${path}.systemOverhead must be a non-negative integer`);
+        }
+        if (entry.systemItems !== undefined) {
+          if (!entry.systemItems || typeof entry.systemItems !== 'object' || Array.isArray(entry.systemItems)) {
+            errors.push(`${path}.systemItems must be an object`);
+          } else {
+            Object.entries(entry.systemItems).forEach(([key, item]) => {
+              if (!item || !isNonEmptyString(item.name) || !Number.isInteger(item.tokens) || item.tokens < 0) {
+                errors.push(`${path}.systemItems.${key} needs a name and a non-negative integer tokens`);
+              }
+            });
+          }
+        }
+        if (entry.keepsPriorThinking !== undefined && typeof entry.keepsPriorThinking !== 'boolean') {
+          errors.push(`${path}.keepsPriorThinking must be a boolean`);
+        }
+        if (!entry.plans || typeof entry.plans !== 'object' || !isLimit(entry.plans.default)) {
+          errors.push(`${path}.plans must be an object with a positive integer "default"`);
+        } else {
+          Object.entries(entry.plans).forEach(([plan, limit]) => {
+            if (!isLimit(limit)) errors.push(`${path}.plans.${plan} must be a positive integer`);
+          });
+        }
+      });
+    }
+
+    if (!Array.isArray(data.models)) {
+      errors.push('models must be an array');
+    } else {
+      const ids = new Set();
+      data.models.forEach((model, i) => {
+        const path = `models[${i}]`;
+        if (!model || typeof model !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (!isNonEmptyString(model.id) || !/^[a-z0-9][a-z0-9.-]*$/.test(model.id)) {
+          errors.push(`${path}.id must be a lowercase model ID`);
+        } else if (ids.has(model.id)) {
+          errors.push(`${path}.id "${model.id}" is duplicated`);
+        } else {
+          ids.add(model.id);
+        }
+        if (!PLATFORMS.includes(model.platform)) errors.push(`${path}.platform must be one of ${PLATFORMS.join(', ')}`);
+        if (!isNonEmptyString(model.name)) errors.push(`${path}.name must be a non-empty string`);
+        if (!isLimit(model.context)) errors.push(`${path}.context must be a positive integer`);
+        if (model.usePlanLimit !== undefined && typeof model.usePlanLimit !== 'boolean') errors.push(`${path}.usePlanLimit must be a boolean`);
+        if (model.plans !== undefined && (!Array.isArray(model.plans) || !model.plans.every(isNonEmptyString))) {
+          errors.push(`${path}.plans must be an array of plan names`);
+        }
+        if (model.aliases !== undefined && (!Array.isArray(model.aliases) || !model.aliases.every(isNonEmptyString))) {
+          errors.push(`${path}.aliases must be an array of strings`);
+        }
+        validatePatterns(model.idPatterns, `${path}.idPatterns`, errors);
+        validatePatterns(model.labelPatterns, `${path}.labelPatterns`, errors);
+      });
+    }
+
+    return errors;
+  }
+
+  // Precompile lookups for validated data
+  function compile(data, source) {
+    const byId = new Map();
+    const models = data.models.map(model => ({
+      ...model,
+      idRegexes: (model.idPatterns || []).map(pattern => new RegExp(pattern, 'i')),
+      labelRegexes: (model.labelPatterns || []).map(pattern => new RegExp(pattern, 'i'))
+    }));
+    models.forEach(model => {
+      byId.set(model.id, model);
+      (model.aliases || []).forEach(alias => byId.set(alias.toLowerCase(), model));
+    });
+    return { data, source, models, byId };
+  }
+
+  // ===========================================================================
+  // LOADING
+  // ===========================================================================
+
+  function emptyOverrides() {
+    return { modelLimits: {}, planLimits: {}, plans: {}, systemOverheads: {}, systemItems: {}, alerts: {}, display: {}, paste: {}, history: {} };
+  }
+
+  // Keep only well-formed values so a bad sync entry can't break counting
+  function sanitizeOverrides(value) {
+    const clean = emptyOverrides();
+    if (!value || typeof value !== 'object') return clean;
+
+    const isOverride = n => Number.isFinite(n) && n > 0;
+    for (const [modelId, limit] of Object.entries(value.modelLimits || {})) {
+      if (isOverride(limit)) clean.modelLimits[modelId] = limit;
+    }
+    for (const [platform, plans] of Object.entries(value.planLimits || {})) {
+      if (!PLATFORMS.includes(platform) || !plans || typeof plans !== 'object') continue;
+      for (const [plan, limit] of Object.entries(plans)) {
+        if (isOverride(limit)) (clean.planLimits[platform] = clean.planLimits[platform] || {})[plan] = limit;
+      }
+    }
+    for (const [platform, plan] of Object.entries(value.plans || {})) {
+      if (PLATFORMS.includes(platform) && isNonEmptyString(plan) && plan !== 'default') clean.plans[platform] = plan;
+    }
+    for (const [platform, overhead] of Object.entries(value.systemOverheads || {})) {
+      if (PLATFORMS.includes(platform) && Number.isFinite(overhead) && overhead >= 0) {
+        clean.systemOverheads[platform] = overhead;
+      }
+    }
+    for (const [platform, items] of Object.entries(value.systemItems || {})) {
+      if (!PLATFORMS.includes(platform) || !items || typeof items !== 'object') continue;
+      for (const [key, tokens] of Object.entries(items)) {
+        if (Number.isFinite(tokens) && tokens >= 0) (clean.systemItems[platform] = clean.systemItems[platform] || {})[key] = tokens;
+      }
+    }
+    const alerts = value.alerts || {};
+    if (Array.isArray(alerts.thresholds)) {
+      const thresholds = [...new Set(alerts.thresholds.filter(n => Number.isFinite(n) && n > 0 && n <= 100))]
+        .sort((a, b) => a - b)
+        .slice(0, MAX_THRESHOLDS);
+      if (thresholds.length > 0) clean.alerts.thresholds = thresholds;
+    }
+    if (typeof alerts.notifications === 'boolean') clean.alerts.notifications = alerts.notifications;
+    const display = value.display || {};
+    if (typeof display.messageBadges === 'boolean') clean.display.messageBadges = display.messageBadges;
+    if (typeof display.sidebarUsage === 'boolean') clean.display.sidebarUsage = display.sidebarUsage;
+    const paste = value.paste || {};
+    if (typeof paste.guard === 'boolean') clean.paste.guard = paste.guard;
+    if (Number.isFinite(paste.share) && paste.share > 0 && paste.share <= 100) clean.paste.share = paste.share;
+    const history = value.history || {};
+    if (typeof history.enabled === 'boolean') clean.history.enabled = history.enabled;
+    if (Number.isInteger(history.retentionDays) && history.retentionDays > 0 && history.retentionDays <= MAX_HISTORY_DAYS) {
+      clean.history.retentionDays = history.retentionDays;
+    }
+    return clean;
+  }
+
+  // Content scripts can't fetch extension files without exposing them to the
+  // page (web_accessible_resources), so they ask the background worker instead
+  function fetchBundled() {
+    const isExtensionPage = typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
+    if (typeof document !== 'undefined' && !isExtensionPage) {
+      return chrome.runtime.sendMessage({ type: 'GET_REGISTRY' }).then(response => response?.data);
+    }
+    return fetch(chrome.runtime.getURL(REGISTRY_FILE)).then(response => response.json());
+  }
+
+  // Use the imported registry if it's valid, otherwise the bundled one
+  function activate(imported) {
+    if (imported && validate(imported).length === 0) {
+      active = compile(imported, 'imported');
+    } else if (bundled) {
+      active = compile(bundled, 'bundled');
+    }
+  }
+
+  /**
+   * Load registry data and user overrides (once), then follow later changes
+   */
+  function load() {
+    if (!loadPromise) {
+      loadPromise = Promise.all([
+        fetchBundled(),
+        chrome.storage.local.get(IMPORTED_KEY),
+        chrome.storage.sync.get(SETTINGS_KEY)
+      ]).then(([bundledData, local, sync]) => {
+        const errors = validate(bundledData);
+        if (errors.length > 0) throw new Error(`Bundled registry is invalid: ${errors[0]}`);
+        bundled = bundledData;
+        activate(local[IMPORTED_KEY]);
+        overrides = sanitizeOverrides(sync[SETTINGS_KEY]);
+      }).catch(error => {
+        loadError = error.message;
+      });
+
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'sync' && changes[SETTINGS_KEY]) {
+          overrides = sanitizeOverrides(changes[SETTINGS_KEY].newValue);
+        } else if (area === 'local' && changes[IMPORTED_KEY]) {
+          activate(changes[IMPORTED_KEY].newValue);
+        } else {
+          return;
+        }
+        listeners.forEach(listener => listener());
+      });
+    }
+    return loadPromise;
+  }
+
+  // Call back when overrides or the imported registry change
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  // ===========================================================================
+  // IMPORT & OVERRIDES (options page)
+  // ===========================================================================
+
+  /**
+   * Validate and store an imported registry file
+   * @returns {Promise<{ version: string }>} Rejects with every schema error
+   */
+  function importRegistry(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return Promise.reject(new Error(`Not valid JSON: ${e.message}`));
+    }
+    const errors = validate(data);
+    if (errors.length > 0) return Promise.reject(new Error(errors.join('\n')));
+
+    activate(data);
+    return chrome.storage.local.set({ [IMPORTED_KEY]: data }).then(() => ({ version: data.version }));
+  }
+
+  /**
+   * Go back to the registry bundled with the extension
+   */
+  function clearImportedRegistry() {
+    activate(null);
+    return chrome.storage.local.remove(IMPORTED_KEY);
+  }
+
+  /**
+   * Save overrides (options page)
+   */
+  function saveOverrides(value) {
+    overrides = sanitizeOverrides(value);
+    return chrome.storage.sync.set({ [SETTINGS_KEY]: overrides });
+  }
+
+  function getOverrides() {
+    return JSON.parse(JSON.stringify(overrides));
+  }
+
+  /**
+   * Which registry is in use
+   */
+  function getInfo() {
+    return {
+      source: active?.source || null,
+      version: active?.data.version || null,
+      updated: active?.data.updated || null,
+      bundledVersion: bundled?.version || null,
+      loadError
+    };
+  }
+
+  // The bundled data, for content scripts (see fetchBundled)
+  function getBundledData() {
+    return bundled;
+  }
+
+  // ===========================================================================
+  // LOOKUPS
+  // ===========================================================================
+
+  function getPlatformData(platform) {
+    return active?.data.platforms[platform] || null;
+  }
+
+  function getPlatformName(platform) {
+    return getPlatformData(platform)?.name || 'Context';
+  }
+
+  function getDefaultModel(platform) {
+    return getPlatformData(platform)?.defaultModel || { name: 'Unknown Model', context: FALLBACK_LIMIT };
+  }
+
+  // Plan name -> default limit (includes "default" for an unknown plan)
+  function getPlans(platform) {
+    return { ...(getPlatformData(platform)?.plans || {}) };
+  }
+
+  function getModels(platform) {
+    const models = active?.models || [];
+    return platform ? models.filter(model => model.platform === platform) : models.slice();
+  }
+
+  /**
+   * Whether earlier turns' thinking stays in context. When it doesn't, only
+   * the latest turn's thinking counts toward the limit.
+   */
+  function getKeepsPriorThinking(platform) {
+    return getPlatformData(platform)?.keepsPriorThinking === true;
+  }
+
+  function getDefaultSystemOverhead(platform) {
+    return getPlatformData(platform)?.systemOverhead ?? 5000;
+  }
+
+  function modelContext(model) {
+    return overrides.modelLimits[model.id] || model.context;
+  }
+
+  /**
+   * Find a model by API ID (exact, alias, then ID patterns) or by the label
+   * shown in the site's UI (label patterns, in registry order)
+   * @param {{ id?: string, label?: string, plan?: string }} query
+   * @returns {object|null} Registry model, or null when unrecognized
+   */
+  function resolveModel(platform, { id, label, plan } = {}) {
+    if (!active) return null;
+    const candidates = active.models.filter(model =>
+      model.platform === platform && (!model.plans || model.plans.includes(plan))
+    );
+
+    if (id) {
+      const lowerId = id.toLowerCase();
+      const exact = active.byId.get(lowerId);
+      if (exact && exact.platform === platform) return exact;
+      const match = candidates.find(model => model.idRegexes.some(regex => regex.test(lowerId)));
+      if (match) return match;
+    }
+    if (label) {
+      const match = candidates.find(model => model.labelRegexes.some(regex => regex.test(label)));
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Limit and display name for a model ID reported by the site's API
+   * @returns {{ limit: number, modelName: string, recognized: boolean }}
+   */
+  function getModelLimit(modelId, platform) {
+    const defaults = getDefaultModel(platform);
+    if (!modelId) {
+      return { limit: defaults.context, modelName: defaults.name, recognized: true };
+    }
+
+    const model = resolveModel(platform, { id: modelId });
+    if (model) {
+      return { limit: modelContext(model), modelName: model.name, recognized: true };
+    }
+
+    // Unknown model - keep its ID and the platform default limit
+    return { limit: defaults.context, modelName: modelId, recognized: false };
+  }
+
+  /**
+   * The plan the user set on the options page (null = auto-detect)
+   */
+  function getPlanOverride(platform) {
+    return overrides.plans[platform] || null;
+  }
+
+  /**
+   * Context limit for a plan (null plan = conservative default)
+   */
+  function getPlanLimit(platform, plan) {
+    const plans = getPlatformData(platform)?.plans;
+    if (!plans) return FALLBACK_LIMIT;
+    const key = plan && plans[plan] !== undefined ? plan : 'default';
+    return overrides.planLimits[platform]?.[key] || plans[key];
+  }
+
+  /**
+   * Effective context limit for a plan and resolved model.
+   * Models flagged usePlanLimit (and unrecognized models) follow the plan.
+   */
+  function getContextLimit(platform, plan, model) {
+    if (model && !model.usePlanLimit) return modelContext(model);
+    return getPlanLimit(platform, plan);
+  }
+
+  /**
+   * System "OS Tax" for a platform
+   */
+  function getSystemOverhead(platform) {
+    const override = overrides.systemOverheads[platform];
+    return override !== undefined ? override : getDefaultSystemOverhead(platform);
+  }
+
+  /**
+   * Per-item OS Tax estimates (system prompt, built-in tools, connectors)
+   * @returns {Array<{ key, name, tokens, defaultTokens }>}
+   */
+  function getSystemItems(platform) {
+    const items = getPlatformData(platform)?.systemItems || {};
+    return Object.entries(items).map(([key, item]) => {
+      const override = overrides.systemItems[platform]?.[key];
+      return { key, name: item.name, tokens: override !== undefined ? override : item.tokens, defaultTokens: item.tokens };
+    });
+  }
+
+  /**
+   * Estimate for one OS Tax item (null if the registry doesn't list it)
+   */
+  function getSystemItem(platform, key) {
+    return getSystemItems(platform).find(item => item.key === key) || null;
+  }
+
+  // ===========================================================================
+  // ALERTS
+  // ===========================================================================
+
+  /**
+   * Usage alert thresholds in percent, ascending
+   */
+  function getThresholds() {
+    return (overrides.alerts.thresholds || DEFAULT_THRESHOLDS).slice();
+  }
+
+  /**
+   * Warning level for a usage percentage: 'critical' past the highest
+   * threshold, 'warning' past any other, otherwise null
+   */
+  function getAlertLevel(percentage) {
+    const thresholds = getThresholds();
+    if (percentage >= thresholds[thresholds.length - 1]) return 'critical';
+    if (percentage >= thresholds[0]) return 'warning';
+    return null;
+  }
+
+  function getNotificationsEnabled() {
+    return overrides.alerts.notifications !== false;
+  }
+
+  // ===========================================================================
+  // ON-PAGE DISPLAY
+  // ===========================================================================
+
+  /**
+   * Whether token badges are shown next to each message in the chat
+   */
+  function getMessageBadgesEnabled() {
+    return overrides.display.messageBadges !== false;
+  }
+
+  /**
+   * Whether past conversations in the site's sidebar show how full they got
+   */
+  function getSidebarUsageEnabled() {
+    return overrides.display.sidebarUsage !== false;
+  }
+
+  /**
+   * Large-paste guard: whether it's on, and the share (percent) of the
+   * remaining context a paste may use before asking
+   */
+  function getPasteGuard() {
+    return { enabled: overrides.paste.guard !== false, share: overrides.paste.share || DEFAULT_PASTE_SHARE };
+  }
+
+  // ===========================================================================
+  // USAGE HISTORY
+  // ===========================================================================
+
+  /**
+   * Whether conversation usage is recorded for the history page, and for how many days
+   */
+  function getHistorySettings() {
+    return {
+      enabled: overrides.history.enabled !== false,
+      retentionDays: overrides.history.retentionDays || DEFAULT_HISTORY_DAYS
+    };
+  }
+
+  ContextCounter.registry = {
+    PLATFORMS,
+    load,
+    onChange,
+    validate,
+    importRegistry,
+    clearImportedRegistry,
+    getInfo,
+    getBundledData,
+    getOverrides,
+    saveOverrides,
+    getPlatformName,
+    getDefaultModel,
+    getPlans,
+    getModels,
+    getDefaultSystemOverhead,
+    getKeepsPriorThinking,
+    resolveModel,
+    getModelLimit,
+    getPlanOverride,
+    getPlanLimit,
+    getContextLimit,
+    getSystemOverhead,
+    getSystemItems,
+    getSystemItem,
+    DEFAULT_THRESHOLDS,
+    MAX_THRESHOLDS,
+    getThresholds,
+    getAlertLevel,
+    getNotificationsEnabled,
+    getMessageBadgesEnabled,
+    getSidebarUsageEnabled,
+    DEFAULT_PASTE_SHARE,
+    getPasteGuard,
+    DEFAULT_HISTORY_DAYS,
+    MAX_HISTORY_DAYS,
+    getHistorySettings
+  };
+})(typeof self !== 'undefined' ? self : globalThis);
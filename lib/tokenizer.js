@@ -0,0 +1,163 @@
+/**
+ * Context Counter - Offline BPE Tokenizer
+ *
+ * Counts tokens with the tiktoken-format rank files bundled in /tokenizers.
+ * Runs inside the background service worker so long conversations are
+ * tokenized off the chat page's main thread. No network access is needed.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function(root) {
+  'use strict';
+
+  const ContextCounter = root.ContextCounter = root.ContextCounter || {};
+
+  // ===========================================================================
+  // ENCODINGS
+  // ===========================================================================
+
+  // Bundled rank files (see tokenizers/README.md for sources and licenses)
+  const ENCODING_FILES = {
+    o200k_base: 'tokenizers/o200k_base.json',   // GPT-4o, GPT-5.x
+    cl100k_base: 'tokenizers/cl100k_base.json', // GPT-4 Turbo, GPT-3.5
+    claude: 'tokenizers/claude.json',           // Anthropic's published Claude tokenizer
+  };
+
+  // Pieces longer than this are split before merging - BPE merging is
+  // quadratic in piece length and giant whitespace/punctuation runs in
+  // pasted logs would otherwise stall the worker
+  const MAX_PIECE_BYTES = 256;
+
+  const loadedEncodings = {};
+  const textEncoder = new TextEncoder();
+
+  /**
+   * Pick the encoding for a platform/model.
+   * Claude 3+ and Gemini tokenizers are not public: Claude uses Anthropic's
+   * published (Claude 2 era) vocabulary and Gemini uses o200k_base, whose
+   * 200K vocabulary is the closest match to Gemini's 256K SentencePiece model.
+   */
+  function encodingFor(platform, modelId) {
+    if (platform === 'claude') return 'claude';
+    if (platform === 'chatgpt' && modelId) {
+      const lower = modelId.toLowerCase();
+      if (/gpt-?4(?![o.])|gpt-?3\.5/.test(lower)) return 'cl100k_base';
+    }
+    return 'o200k_base';
+  }
+
+  /**
+   * Parse the compressed tiktoken rank format:
+   * one "<first token> <offset> <base64 token>..." line per contiguous run
+   */
+  function parseRanks(data) {
+    const ranks = new Map();
+    data.bpe_ranks.split('\n').forEach(line => {
+      if (!line) return;
+      const [, offsetStr, ...tokens] = line.split(' ');
+      const offset = parseInt(offsetStr, 10);
+      // Keys are byte strings (one char per byte) - cheaper than "1,2,3" keys
+      tokens.forEach((token, i) => ranks.set(atob(token), offset + i));
+    });
+    return {
+      ranks,
+      pattern: new RegExp(data.pat_str, 'gu'),
+    };
+  }
+
+  /**
+   * Load an encoding's rank file (cached for the life of the worker)
+   */
+  function loadEncoding(name) {
+    const file = ENCODING_FILES[name];
+    if (!file) return Promise.reject(new Error(`Unknown encoding: ${name}`));
+
+    if (!loadedEncodings[name]) {
+      loadedEncodings[name] = fetch(chrome.runtime.getURL(file))
+        .then(response => response.json())
+        .then(parseRanks)
+        .catch(error => {
+          delete loadedEncodings[name];
+          throw error;
+        });
+    }
+    return loadedEncodings[name];
+  }
+
+  // ===========================================================================
+  // BYTE PAIR ENCODING
+  // ===========================================================================
+
+  /**
+   * Convert a string to a byte string (one char per UTF-8 byte)
+   */
+  function toByteString(text) {
+    const bytes = textEncoder.encode(text);
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      out += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return out;
+  }
+
+  /**
+   * Count the tokens one pre-tokenized piece merges into
+   */
+  function countPiece(piece, ranks) {
+    if (piece.length === 1 || ranks.has(piece)) return 1;
+
+    // Boundaries between parts; merge the lowest-ranked adjacent pair until
+    // no adjacent pair is in the vocabulary
+    const bounds = [];
+    for (let i = 0; i <= piece.length; i++) bounds.push(i);
+
+    while (bounds.length > 2) {
+      let minRank = Infinity;
+      let minIndex = -1;
+      for (let i = 0; i < bounds.length - 2; i++) {
+        const rank = ranks.get(piece.slice(bounds[i], bounds[i + 2]));
+        if (rank !== undefined && rank < minRank) {
+          minRank = rank;
+          minIndex = i;
+        }
+      }
+      if (minIndex === -1) break;
+      bounds.splice(minIndex + 1, 1);
+    }
+
+    return bounds.length - 1;
+  }
+
+  /**
+   * Count tokens in text with a loaded encoding
+   */
+  function countWithEncoding(text, encoding, name) {
+    if (!text) return 0;
+    // Anthropic's tokenizer normalizes before encoding
+    if (name === 'claude') text = text.normalize('NFKC');
+
+    let count = 0;
+    encoding.pattern.lastIndex = 0;
+    for (const match of text.matchAll(encoding.pattern)) {
+      const piece = toByteString(match[0]);
+      for (let i = 0; i < piece.length; i += MAX_PIECE_BYTES) {
+        count += countPiece(piece.slice(i, i + MAX_PIECE_BYTES), encoding.ranks);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Count tokens for a batch of texts
+   * @returns {Promise<number[]>}
+   */
+  function countTokens(texts, name) {
+    return loadEncoding(name).then(encoding =>
+      texts.map(text => countWithEncoding(text, encoding, name))
+    );
+  }
+
+  ContextCounter.tokenizer = { encodingFor, countTokens };
+})(typeof self !== 'undefined' ? self : globalThis);
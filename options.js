@@ -0,0 +1,280 @@
+/**
+ * Context Counter - Options Page
+ *
+ * Edits the user overrides the shared registry (lib/registry.js) merges over
+ * the model registry: plan, per-plan and per-model limits, OS Tax and alert
+ * thresholds. Also imports an updated registry file from disk.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const registry = ContextCounter.registry;
+  const PLATFORMS = registry.PLATFORMS;
+  const PLAN_LABELS = { free: 'Free', plus: 'Plus', pro: 'Pro', team: 'Team', enterprise: 'Enterprise', ultra: 'Ultra' };
+
+  function formatNumber(value) {
+    return Number(value).toLocaleString();
+  }
+
+  function createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach(cell => {
+      const td = document.createElement('td');
+      if (cell instanceof Node) td.appendChild(cell);
+      else td.textContent = cell;
+      row.appendChild(td);
+    });
+    return row;
+  }
+
+  function createHeader(labels) {
+    const row = document.createElement('tr');
+    labels.forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      row.appendChild(th);
+    });
+    return row;
+  }
+
+  function createPlatformHeading(platform, columns) {
+    const row = document.createElement('tr');
+    row.className = 'platform-heading';
+    const td = document.createElement('td');
+    td.colSpan = columns;
+    td.textContent = registry.getPlatformName(platform);
+    row.appendChild(td);
+    return row;
+  }
+
+  // Number input bound to a path in the overrides object
+  function createLimitInput(value, dataset) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1000';
+    input.placeholder = 'Default';
+    if (value !== undefined) input.value = value;
+    Object.assign(input.dataset, dataset);
+    return input;
+  }
+
+  function render(overrides) {
+    // Plans
+    const plansTable = document.getElementById('plans');
+    plansTable.replaceChildren(createHeader(['Platform', 'Plan']));
+    PLATFORMS.forEach(platform => {
+      const select = document.createElement('select');
+      select.dataset.platform = platform;
+      select.appendChild(new Option('Auto-detect', ''));
+      Object.keys(registry.getPlans(platform))
+        .filter(plan => plan !== 'default')
+        .forEach(plan => select.appendChild(new Option(PLAN_LABELS[plan] || plan, plan)));
+      select.value = overrides.plans[platform] || '';
+      plansTable.appendChild(createRow([registry.getPlatformName(platform), select]));
+    });
+
+    // Plan limits
+    const planTable = document.getElementById('plan-limits');
+    planTable.replaceChildren(createHeader(['Plan', 'Default', 'Override']));
+    PLATFORMS.forEach(platform => {
+      planTable.appendChild(createPlatformHeading(platform, 3));
+      Object.entries(registry.getPlans(platform)).forEach(([plan, limit]) => {
+        const label = plan === 'default' ? 'Unknown plan' : (PLAN_LABELS[plan] || plan);
+        const input = createLimitInput(overrides.planLimits[platform]?.[plan], { kind: 'planLimit', platform, plan });
+        planTable.appendChild(createRow([label, formatNumber(limit), input]));
+      });
+    });
+
+    // Model limits
+    const modelTable = document.getElementById('model-limits');
+    modelTable.replaceChildren(createHeader(['Model', 'ID', 'Default', 'Override']));
+    PLATFORMS.forEach(platform => {
+      modelTable.appendChild(createPlatformHeading(platform, 4));
+      registry.getModels(platform).forEach(model => {
+        const input = createLimitInput(overrides.modelLimits[model.id], { kind: 'modelLimit', modelId: model.id });
+        modelTable.appendChild(createRow([model.name, model.id, formatNumber(model.context), input]));
+      });
+    });
+
+    // System overheads
+    const overheadTable = document.getElementById('system-overheads');
+    overheadTable.replaceChildren(createHeader(['Platform', 'Default', 'Override']));
+    PLATFORMS.forEach(platform => {
+      const input = createLimitInput(overrides.systemOverheads[platform], { kind: 'systemOverhead', platform });
+      overheadTable.appendChild(createRow([registry.getPlatformName(platform), formatNumber(registry.getDefaultSystemOverhead(platform)), input]));
+    });
+
+    // Alerts
+    const thresholdsInput = document.getElementById('thresholds');
+    thresholdsInput.placeholder = registry.DEFAULT_THRESHOLDS.join(', ');
+    thresholdsInput.value = overrides.alerts.thresholds ? overrides.alerts.thresholds.join(', ') : '';
+    document.getElementById('notifications').checked = overrides.alerts.notifications !== false;
+
+    // On the page
+    document.getElementById('message-badges').checked = overrides.display.messageBadges !== false;
+    document.getElementById('sidebar-usage').checked = overrides.display.sidebarUsage !== false;
+    document.getElementById('paste-guard').checked = overrides.paste.guard !== false;
+    const pasteShareInput = document.getElementById('paste-share');
+    pasteShareInput.placeholder = registry.DEFAULT_PASTE_SHARE;
+    pasteShareInput.value = overrides.paste.share ?? '';
+
+    // Per-item OS Tax estimates
+    const itemTable = document.getElementById('system-items');
+    itemTable.replaceChildren(createHeader(['Item', 'Default', 'Override']));
+    PLATFORMS.forEach(platform => {
+      const items = registry.getSystemItems(platform);
+      if (items.length === 0) return;
+      itemTable.appendChild(createPlatformHeading(platform, 3));
+      items.forEach(item => {
+        const input = createLimitInput(overrides.systemItems[platform]?.[item.key], { kind: 'systemItem', platform, item: item.key });
+        input.step = '100';
+        itemTable.appendChild(createRow([item.name, formatNumber(item.defaultTokens), input]));
+      });
+    });
+
+    renderRegistryInfo();
+  }
+
+  // "75, 90" -> [75, 90]; throws on anything that isn't a percentage
+  function parseThresholds(text) {
+    const parts = text.split(/[\s,;]+/).filter(Boolean);
+    if (parts.length > registry.MAX_THRESHOLDS) {
+      throw new Error(`Use at most ${registry.MAX_THRESHOLDS} thresholds`);
+    }
+    return parts.map(part => {
+      const value = Number(part.replace(/%$/, ''));
+      if (!Number.isFinite(value) || value <= 0 || value > 100) {
+        throw new Error(`"${part}" is not a percentage between 1 and 100`);
+      }
+      return value;
+    });
+  }
+
+  // Which registry file is in use
+  function renderRegistryInfo() {
+    const info = registry.getInfo();
+    const updated = info.updated ? `, updated ${info.updated}` : '';
+    document.getElementById('registry-info').textContent = info.source === 'imported'
+      ? `Using imported registry ${info.version}${updated} (bundled: ${info.bundledVersion}).`
+      : `Using bundled registry ${info.version}${updated}.`;
+    document.getElementById('revert-registry').disabled = info.source !== 'imported';
+    if (info.loadError) showRegistryErrors([`The registry failed to load, so built-in defaults are in use: ${info.loadError}`]);
+  }
+
+  function showRegistryErrors(messages) {
+    const list = document.getElementById('registry-errors');
+    list.replaceChildren(...messages.map(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      return item;
+    }));
+  }
+
+  // Read the form back into an overrides object (empty fields = default)
+  function collect() {
+    // History recording and retention are set on the history page - keep them
+    const overrides = { modelLimits: {}, planLimits: {}, plans: {}, systemOverheads: {}, systemItems: {}, alerts: {}, display: {}, paste: {}, history: registry.getOverrides().history };
+
+    document.querySelectorAll('#plans select').forEach(select => {
+      if (select.value) overrides.plans[select.dataset.platform] = select.value;
+    });
+
+    document.querySelectorAll('input[type="number"]').forEach(input => {
+      if (input.value === '') return;
+      const value = Number(input.value);
+      const { kind, platform, plan, modelId, item } = input.dataset;
+      if (kind === 'planLimit') {
+        (overrides.planLimits[platform] = overrides.planLimits[platform] || {})[plan] = value;
+      } else if (kind === 'modelLimit') {
+        overrides.modelLimits[modelId] = value;
+      } else if (kind === 'systemOverhead') {
+        overrides.systemOverheads[platform] = value;
+      } else if (kind === 'systemItem') {
+        (overrides.systemItems[platform] = overrides.systemItems[platform] || {})[item] = value;
+      }
+    });
+
+    const thresholds = parseThresholds(document.getElementById('thresholds').value);
+    if (thresholds.length > 0) overrides.alerts.thresholds = thresholds;
+    if (!document.getElementById('notifications').checked) overrides.alerts.notifications = false;
+    if (!document.getElementById('message-badges').checked) overrides.display.messageBadges = false;
+    if (!document.getElementById('sidebar-usage').checked) overrides.display.sidebarUsage = false;
+    if (!document.getElementById('paste-guard').checked) overrides.paste.guard = false;
+    const pasteShare = document.getElementById('paste-share').value;
+    if (pasteShare !== '') {
+      const share = Number(pasteShare);
+      if (!(share > 0 && share <= 100)) throw new Error(`"${pasteShare}" is not a percentage between 1 and 100`);
+      overrides.paste.share = share;
+    }
+
+    return overrides;
+  }
+
+  function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    setTimeout(() => { status.textContent = ''; }, 2500);
+  }
+
+  document.getElementById('save').addEventListener('click', () => {
+    Promise.resolve()
+      .then(() => registry.saveOverrides(collect()))
+      .then(() => {
+        render(registry.getOverrides());
+        showStatus('Saved');
+      })
+      .catch(error => showStatus(`Could not save: ${error.message}`, true));
+  });
+
+  document.getElementById('reset').addEventListener('click', () => {
+    // History recording and retention belong to the history page
+    registry.saveOverrides({ history: registry.getOverrides().history })
+      .then(() => {
+        render(registry.getOverrides());
+        showStatus('Defaults restored');
+      })
+      .catch(error => showStatus(`Could not reset: ${error.message}`, true));
+  });
+
+  document.getElementById('reset-alerts').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'RESET_ALERTS' })
+      .then(() => showStatus('Alerts unmuted'))
+      .catch(error => showStatus(`Could not unmute: ${error.message}`, true));
+  });
+
+  document.getElementById('import-registry').addEventListener('change', event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => registry.importRegistry(text))
+      .then(({ version }) => {
+        showRegistryErrors([]);
+        render(registry.getOverrides());
+        showStatus(`Imported registry ${version}`);
+      })
+      .catch(error => {
+        showRegistryErrors(error.message.split('\n'));
+        showStatus('Registry not imported', true);
+      });
+  });
+
+  document.getElementById('revert-registry').addEventListener('click', () => {
+    registry.clearImportedRegistry()
+      .then(() => {
+        showRegistryErrors([]);
+        render(registry.getOverrides());
+        showStatus('Using bundled registry');
+      })
+      .catch(error => showStatus(`Could not revert: ${error.message}`, true));
+  });
+
+  registry.load().then(() => render(registry.getOverrides()));
+})();
@@ -0,0 +1,133 @@
+/**
+ * Context Counter - Toolbar Popup
+ *
+ * Lists context usage for every tracked ChatGPT, Claude and Gemini tab from
+ * the background worker's tabState. Clicking a row focuses that tab; rows
+ * update live while the popup is open.
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const registry = ContextCounter.registry;
+  let tabState = {};
+  let renderId = 0;
+
+  function formatTokens(count) {
+    if (count >= 1000000) return (count / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+    if (count >= 1000) return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+    return count.toString();
+  }
+
+  function getPlatform(url) {
+    if (!url) return null;
+    if (url.includes('chat.openai.com') || url.includes('chatgpt.com')) return 'chatgpt';
+    if (url.includes('claude.ai')) return 'claude';
+    if (url.includes('gemini.google.com')) return 'gemini';
+    return null;
+  }
+
+  // Prefer what the overlay shows (it includes page-estimated counts)
+  function getUsage(state) {
+    const overlay = state.overlay || {};
+    const total = overlay.total ?? state.totalTokens ?? 0;
+    const limit = overlay.contextLimit || state.contextLimit || 0;
+    const recognized = overlay.modelRecognized ?? state.modelRecognized ?? true;
+    let model = overlay.model || state.modelName || registry.getPlatformName(state.platform);
+    if (!recognized) model = `${model} (unrecognized)`;
+    return { total, limit, model, percentage: limit ? (total / limit) * 100 : 0 };
+  }
+
+  function createRow(tab, state) {
+    const { total, limit, model, percentage } = getUsage(state);
+
+    const row = document.createElement('li');
+    row.className = 'tab';
+    const level = registry.getAlertLevel(percentage);
+    if (level) row.classList.add(level);
+    row.title = tab.title || '';
+
+    const header = document.createElement('div');
+    header.className = 'tab-header';
+    const title = document.createElement('span');
+    title.className = 'tab-title';
+    title.textContent = tab.title || registry.getPlatformName(state.platform);
+    const percent = document.createElement('span');
+    percent.className = 'tab-percent';
+    percent.textContent = `${Math.round(percentage)}%`;
+    header.append(title, percent);
+
+    const details = document.createElement('div');
+    details.className = 'tab-details';
+    const modelEl = document.createElement('span');
+    modelEl.className = 'tab-model';
+    modelEl.textContent = `${registry.getPlatformName(state.platform)} · ${model}`;
+    const count = document.createElement('span');
+    count.className = 'tab-count';
+    count.textContent = `${formatTokens(total)} / ${formatTokens(limit)}`;
+    details.append(modelEl, count);
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    const fill = document.createElement('div');
+    fill.className = 'bar-fill';
+    fill.style.width = `${Math.min(percentage, 100)}%`;
+    bar.appendChild(fill);
+
+    row.append(header, details, bar);
+    row.addEventListener('click', () => {
+      chrome.tabs.update(tab.id, { active: true });
+      chrome.windows.update(tab.windowId, { focused: true });
+      window.close();
+    });
+    return row;
+  }
+
+  // Rows for tabs still on a supported site, most-used first
+  function render() {
+    const id = ++renderId;
+    const entries = Object.entries(tabState);
+
+    Promise.all(entries.map(([tabId]) => chrome.tabs.get(Number(tabId)).catch(() => null))).then(tabs => {
+      if (id !== renderId) return; // A newer render started
+
+      const rows = entries
+        .map(([, state], i) => ({ tab: tabs[i], state }))
+        .filter(({ tab, state }) => tab && getPlatform(tab.url) === state.platform)
+        .sort((a, b) => getUsage(b.state).percentage - getUsage(a.state).percentage)
+        .map(({ tab, state }) => createRow(tab, state));
+
+      document.getElementById('tabs').replaceChildren(...rows);
+      document.getElementById('empty').hidden = rows.length > 0;
+    });
+  }
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'CONTEXT_UPDATE' && message.tabId !== undefined) {
+      tabState[message.tabId] = message.data;
+      render();
+    } else if (message.type === 'TAB_REMOVED') {
+      delete tabState[message.tabId];
+      render();
+    }
+  });
+
+  document.getElementById('open-options').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById('open-history').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    window.close();
+  });
+
+  Promise.all([registry.load(), chrome.runtime.sendMessage({ type: 'GET_ALL_STATES' })]).then(([, response]) => {
+    tabState = response?.tabs || {};
+    render();
+  });
+})();
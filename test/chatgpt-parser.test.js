@@ -0,0 +1,105 @@
+/**
+ * Context Counter - ChatGPT Response Parser Tests
+ *
+ * Runs the parser against recorded conversation and setup bodies in
+ * test/fixtures/chatgpt, with conversation text and IDs redacted. Run with:
+ *
+ *   node --test test/
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+require('../lib/chatgpt-parser.js');
+const { parse, parseSetup, resolveBranch } = globalThis.ContextCounter.chatgptParser;
+
+const API = 'https://chatgpt.com/backend-api/';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'chatgpt', name), 'utf8');
+}
+
+test('follows the current node and skips the regenerated sibling', () => {
+  const result = parse(fixture('conversation.json'));
+  assert.equal(result.conversationId, '6789abcd-0000-4000-8000-000000000001');
+  assert.equal(result.gizmoId, 'g-p-redacted');
+  assert.equal(result.leafId, 'n-reply-new');
+  assert.deepEqual(result.messages.map(m => m.id), [
+    'n-instructions', 'n-prompt', 'n-search', 'n-results', 'n-thoughts', 'n-reply-new'
+  ]);
+});
+
+test('reports the branch position and the model of the active reply', () => {
+  const result = parse(fixture('conversation.json'));
+  assert.deepEqual(result.branch, { index: 2, count: 2 });
+  assert.equal(result.modelId, 'gpt-5-mini');
+});
+
+test('re-resolves the path when another branch becomes current', () => {
+  const result = resolveBranch(parse(fixture('conversation.json')).tree, 'n-reply-old');
+  assert.equal(result.leafId, 'n-reply-old');
+  assert.deepEqual(result.branch, { index: 1, count: 2 });
+  assert.equal(result.modelId, 'gpt-5');
+  assert.equal(result.messages.at(-1).text, 'Original reply [REDACTED]');
+});
+
+test('splits custom instructions, tool calls and thoughts into segments', () => {
+  const messages = parse(fixture('conversation.json')).messages;
+  const segments = messages.map(m => [m.id, m.segment, m.toolName, m.systemKind]);
+  assert.deepEqual(segments, [
+    ['n-instructions', 'system', null, 'customInstructions'],
+    ['n-prompt', 'conversation', null, null],
+    ['n-search', 'tools', 'web.run', null],
+    ['n-results', 'tools', 'web.run', null],
+    ['n-thoughts', 'thinking', null, null],
+    ['n-reply-new', 'conversation', null, null]
+  ]);
+  assert.equal(messages[0].text, 'About me [REDACTED]\nBe brief [REDACTED]');
+  assert.equal(messages[3].text, 'Search summary [REDACTED]\nSearch result [REDACTED]');
+  assert.equal(messages[4].text, 'Planning\nReasoning [REDACTED]');
+});
+
+test('reads image parts as attachments', () => {
+  const prompt = parse(fixture('conversation.json')).messages[1];
+  assert.equal(prompt.text, 'Prompt text [REDACTED]');
+  assert.deepEqual(prompt.attachments, [{ name: 'Image', kind: 'image', width: 1024, height: 768 }]);
+});
+
+test('reads custom instructions, memory and project setup', () => {
+  assert.deepEqual(parseSetup(fixture('user-system-messages.json'), API + 'user_system_messages'), {
+    kind: 'customInstructions',
+    enabled: true,
+    text: 'About me [REDACTED]\nBe brief [REDACTED]'
+  });
+  assert.deepEqual(parseSetup(fixture('memories.json'), API + 'memories'), {
+    kind: 'memory',
+    text: 'Memory one [REDACTED]\nMemory two [REDACTED]',
+    tokens: 42
+  });
+  assert.deepEqual(parseSetup(fixture('settings-user.json'), API + 'settings/user'), {
+    kind: 'memorySetting',
+    enabled: false
+  });
+  assert.deepEqual(parseSetup(fixture('gizmo.json'), API + 'gizmos/g-p-redacted'), {
+    kind: 'gizmo',
+    id: 'g-p-redacted',
+    name: '[REDACTED] project',
+    isProject: true,
+    instructions: 'Project instructions [REDACTED]',
+    files: [{ name: 'brief.pdf', tokens: 1834 }, { name: 'data.csv', tokens: null }]
+  });
+});
+
+test('returns null for bodies with nothing to count', () => {
+  assert.equal(parse(''), null);
+  assert.equal(parse('not json'), null);
+  assert.equal(parse('{}'), null);
+  assert.equal(parseSetup(fixture('memories.json'), API + 'conversations'), null);
+});
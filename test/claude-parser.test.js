@@ -0,0 +1,136 @@
+/**
+ * Context Counter - Claude Response Parser Tests
+ *
+ * Runs the parser against recorded conversation and project bodies in
+ * test/fixtures/claude, with conversation text and IDs redacted. Run with:
+ *
+ *   node --test test/
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+require('../lib/claude-parser.js');
+const { parse, parseProject, getConversationIdFromUrl } = globalThis.ContextCounter.claudeParser;
+
+const CONVERSATION_URL = 'https://claude.ai/api/organizations/org/chat_conversations/11111111-2222-3333-4444-555555555555?tree=True';
+const PROJECT_URL = 'https://claude.ai/api/organizations/org/projects/99999999-8888-7777-6666-555555555555';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'claude', name), 'utf8');
+}
+
+test('follows the current leaf and skips the sibling branch', () => {
+  const result = parse(fixture('conversation.json'), CONVERSATION_URL);
+  assert.equal(result.conversationId, '11111111-2222-3333-4444-555555555555');
+  const ids = result.messages.map(m => m.id);
+  assert.ok(ids.includes('aaaaaaaa-0000-0000-0000-000000000006'));
+  assert.ok(ids.includes('aaaaaaaa-0000-0000-0000-000000000005'));
+  assert.ok(!ids.includes('aaaaaaaa-0000-0000-0000-000000000003'));
+  assert.ok(!ids.includes('aaaaaaaa-0000-0000-0000-000000000004'));
+});
+
+test('reports the position of the active branch among its siblings', () => {
+  assert.deepEqual(parse(fixture('conversation.json'), CONVERSATION_URL).branch, { index: 2, count: 2 });
+});
+
+test('splits thinking and tool blocks ahead of the reply they belong to', () => {
+  const messages = parse(fixture('conversation.json'), CONVERSATION_URL).messages;
+  assert.deepEqual(messages.slice(1, 6), [
+    {
+      id: 'aaaaaaaa-0000-0000-0000-000000000002:thinking',
+      role: 'assistant',
+      segment: 'thinking',
+      text: 'Thinking about it [REDACTED]'
+    },
+    {
+      id: 'aaaaaaaa-0000-0000-0000-000000000002:tool:1',
+      role: 'assistant',
+      segment: 'tools',
+      toolName: 'web_search',
+      text: '{"query":"[REDACTED]"}'
+    },
+    {
+      id: 'aaaaaaaa-0000-0000-0000-000000000002:tool:2',
+      role: 'assistant',
+      segment: 'tools',
+      toolName: 'web_search',
+      text: 'Result [REDACTED]\nhttps://example.com/a\nSnippet [REDACTED]'
+    },
+    {
+      id: 'aaaaaaaa-0000-0000-0000-000000000002:tool:3',
+      role: 'assistant',
+      segment: 'tools',
+      toolName: 'GitHub',
+      text: '{"q":"[REDACTED]"}'
+    },
+    {
+      id: 'aaaaaaaa-0000-0000-0000-000000000002',
+      role: 'assistant',
+      text: 'First reply [REDACTED]',
+      attachments: []
+    }
+  ]);
+});
+
+test('reads extracted text and image attachments', () => {
+  const first = parse(fixture('conversation.json'), CONVERSATION_URL).messages[0];
+  assert.equal(first.role, 'user');
+  assert.equal(first.text, 'First prompt [REDACTED]');
+  assert.deepEqual(first.attachments, [
+    { name: 'notes.txt', kind: 'text', text: 'Pasted notes [REDACTED]' },
+    { name: 'screenshot.png', kind: 'image', width: 1200, height: 800 }
+  ]);
+});
+
+test('reads the model, project and enabled tools', () => {
+  const result = parse(fixture('conversation.json'), CONVERSATION_URL);
+  assert.equal(result.modelId, 'claude-sonnet-4-5-20250929');
+  assert.equal(result.projectId, '99999999-8888-7777-6666-555555555555');
+  assert.deepEqual(result.setup, {
+    enabledItems: ['webSearch', 'gmail'],
+    mcpTools: { github: 2, Connectors: 1 }
+  });
+});
+
+test('orders messages by index when there are no parent links', () => {
+  const body = JSON.stringify({
+    uuid: 'flat',
+    chat_messages: [
+      { uuid: 'b', sender: 'assistant', index: 1, content: [{ type: 'text', text: 'Reply' }] },
+      { uuid: 'a', sender: 'human', index: 0, content: [{ type: 'text', text: 'Prompt' }] }
+    ]
+  });
+  const result = parse(body, CONVERSATION_URL);
+  assert.deepEqual(result.messages.map(m => m.id), ['a', 'b']);
+  assert.equal(result.branch, null);
+});
+
+test('reads project instructions and knowledge files', () => {
+  assert.deepEqual(parseProject(fixture('project.json'), PROJECT_URL), {
+    projectId: '99999999-8888-7777-6666-555555555555',
+    instructions: 'Project instructions [REDACTED]'
+  });
+  assert.deepEqual(parseProject(fixture('project-docs.json'), PROJECT_URL + '/docs'), {
+    projectId: '99999999-8888-7777-6666-555555555555',
+    docs: [{ name: 'spec.md', text: 'Knowledge file [REDACTED]' }]
+  });
+});
+
+test('takes the conversation ID only from full UUIDs in the URL', () => {
+  assert.equal(getConversationIdFromUrl(CONVERSATION_URL), '11111111-2222-3333-4444-555555555555');
+  assert.equal(getConversationIdFromUrl('https://claude.ai/api/organizations/org/chat_conversations/short'), null);
+});
+
+test('returns null for bodies with nothing to count', () => {
+  assert.equal(parse('', CONVERSATION_URL), null);
+  assert.equal(parse('not json', CONVERSATION_URL), null);
+  assert.equal(parse('{}', CONVERSATION_URL), null);
+});
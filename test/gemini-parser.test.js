@@ -0,0 +1,96 @@
+/**
+ * Context Counter - Gemini Response Parser Tests
+ *
+ * Runs the parser against recorded batchexecute and StreamGenerate bodies in
+ * test/fixtures/gemini, with conversation text and IDs redacted. Run with:
+ *
+ *   node --test test/
+ *
+ * @author Remix Partners (https://remixpartners.ai)
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+require('../lib/gemini-parser.js');
+const { parse, splitFrames, getEnvelopes } = globalThis.ContextCounter.geminiParser;
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'gemini', name), 'utf8');
+}
+
+test('splits length-prefixed frames after the XSSI prefix', () => {
+  const frames = splitFrames(fixture('stream-generate.txt'));
+  assert.equal(frames.length, 4);
+  assert.equal(frames[0][0][0], 'wrb.fr');
+  assert.deepEqual(frames[3][0], ['di', 1834]);
+});
+
+test('ignores brackets inside strings and multi-byte text when framing', () => {
+  const frames = splitFrames(fixture('batchexecute-history.txt'));
+  assert.equal(frames.length, 1);
+  const envelopes = getEnvelopes(fixture('batchexecute-history.txt'));
+  assert.equal(envelopes.length, 1);
+  assert.equal(envelopes[0].rpcId, 'hNvQHb');
+  assert.ok(Array.isArray(envelopes[0].payload));
+});
+
+test('keeps the latest version of a streamed reply', () => {
+  const result = parse(fixture('stream-generate.txt'));
+  assert.equal(result.isHistory, false);
+  assert.equal(result.conversationId, '0a1b2c3d4e5f');
+  assert.deepEqual(result.turns, [{
+    id: 'r_9f8e7d6c5b4a',
+    role: 'assistant',
+    text: 'Sure - Unlike gemini-1.5-pro, [REDACTED] "quoted" ]] text done.',
+    thinking: '**Planning** [REDACTED] thoughts'
+  }]);
+  assert.equal(result.hasThinking, true);
+});
+
+test('reads the model ID from its slot, not from conversation text', () => {
+  assert.equal(parse(fixture('stream-generate.txt')).modelId, 'gemini-2.5-flash');
+  assert.equal(parse(fixture('batchexecute-history.txt')).modelId, null);
+});
+
+test('reads usage metadata', () => {
+  assert.deepEqual(parse(fixture('stream-generate.txt')).usage, {
+    inputTokens: 1200,
+    outputTokens: 435,
+    totalTokens: 1635
+  });
+  assert.equal(parse(fixture('batchexecute-history.txt')).usage, null);
+});
+
+test('turns history into prompts and replies, oldest first', () => {
+  const result = parse(fixture('batchexecute-history.txt'));
+  assert.equal(result.isHistory, true);
+  assert.equal(result.conversationId, '0a1b2c3d4e5f');
+  assert.deepEqual(result.turns, [
+    { id: 'r_first:user', role: 'user', text: 'First prompt [REDACTED]', thinking: '' },
+    { id: 'r_first', role: 'assistant', text: 'First reply [REDACTED] gemini-1.5-pro', thinking: '' },
+    { id: 'r_second:user', role: 'user', text: 'Follow-up [REDACTED] café ☕', thinking: '' },
+    { id: 'r_second', role: 'assistant', text: 'Second reply — [REDACTED]', thinking: 'Second thoughts [REDACTED]' }
+  ]);
+});
+
+test('parses the complete frames of a stream still in progress', () => {
+  const text = fixture('stream-generate.txt');
+  const cut = text.indexOf('Sure - Unlike') + 20;
+  const result = parse(text.slice(0, cut));
+  assert.equal(result.turns.length, 1);
+  assert.equal(result.turns[0].text, 'Sure');
+  assert.equal(result.modelId, null);
+});
+
+test('returns null for bodies with nothing to count', () => {
+  assert.equal(parse(''), null);
+  assert.equal(parse(null), null);
+  assert.equal(parse(")]}'\n\n12\n[[\"di\",42]]\n"), null);
+  assert.equal(parse('not a batchexecute body'), null);
+});